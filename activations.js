@@ -0,0 +1,115 @@
+/**
+ * NN-Model Visualizer - Activation Functions
+ * Element-wise activations with derivatives and the formulas shown in the step trace
+ *
+ * Adding an entry here extends the activation dropdowns, step descriptions and computation boxes.
+ * Softmax acts on a whole layer and is handled separately by the network's output layer.
+ */
+
+const sigmoidValue = (z) => 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
+
+// Constant of the tanh approximation to GELU
+const GELU_COEFF = Math.sqrt(2 / Math.PI);
+
+const Activations = {
+    sigmoid: {
+        name: 'Sigmoid',
+        shortName: 'σ',
+        formula: 'a = σ(z) = 1 / (1 + e⁻ᶻ)',
+        derivativeFormula: 'σ\'(z) = σ(z)(1 - σ(z))',
+        fn: sigmoidValue,
+        derivative: (z) => {
+            const s = sigmoidValue(z);
+            return s * (1 - s);
+        }
+    },
+
+    relu: {
+        name: 'ReLU',
+        shortName: 'ReLU',
+        formula: 'a = max(0, z)',
+        derivativeFormula: 'f\'(z) = 1 if z > 0, else 0',
+        fn: (z) => Math.max(0, z),
+        derivative: (z) => (z > 0 ? 1 : 0)
+    },
+
+    leaky_relu: {
+        name: 'Leaky ReLU',
+        shortName: 'LeakyReLU',
+        alpha: 0.01,
+        formula: 'a = z if z > 0, else 0.01z',
+        derivativeFormula: 'f\'(z) = 1 if z > 0, else 0.01',
+        fn: (z) => (z > 0 ? z : Activations.leaky_relu.alpha * z),
+        derivative: (z) => (z > 0 ? 1 : Activations.leaky_relu.alpha)
+    },
+
+    elu: {
+        name: 'ELU',
+        shortName: 'ELU',
+        alpha: 1.0,
+        formula: 'a = z if z > 0, else eᶻ - 1',
+        derivativeFormula: 'f\'(z) = 1 if z > 0, else eᶻ',
+        fn: (z) => (z > 0 ? z : Activations.elu.alpha * (Math.exp(z) - 1)),
+        derivative: (z) => (z > 0 ? 1 : Activations.elu.alpha * Math.exp(z))
+    },
+
+    gelu: {
+        name: 'GELU',
+        shortName: 'GELU',
+        formula: 'a = ½z(1 + tanh(√(2/π)(z + 0.044715z³)))',
+        derivativeFormula: 'f\'(z) = ½(1 + tanh(u)) + ½z·sech²(u)·u\'',
+        fn: (z) => 0.5 * z * (1 + Math.tanh(GELU_COEFF * (z + 0.044715 * z * z * z))),
+        derivative: (z) => {
+            const u = GELU_COEFF * (z + 0.044715 * z * z * z);
+            const t = Math.tanh(u);
+            const du = GELU_COEFF * (1 + 3 * 0.044715 * z * z);
+            return 0.5 * (1 + t) + 0.5 * z * (1 - t * t) * du;
+        }
+    },
+
+    swish: {
+        name: 'Swish',
+        shortName: 'Swish',
+        formula: 'a = z·σ(z)',
+        derivativeFormula: 'f\'(z) = σ(z) + z·σ(z)(1 - σ(z))',
+        fn: (z) => z * sigmoidValue(z),
+        derivative: (z) => {
+            const s = sigmoidValue(z);
+            return s + z * s * (1 - s);
+        }
+    },
+
+    softplus: {
+        name: 'Softplus',
+        shortName: 'Softplus',
+        formula: 'a = ln(1 + eᶻ)',
+        derivativeFormula: 'f\'(z) = σ(z)',
+        // Stable form: max(z, 0) + ln(1 + e^-|z|)
+        fn: (z) => Math.max(z, 0) + Math.log1p(Math.exp(-Math.abs(z))),
+        derivative: sigmoidValue
+    },
+
+    tanh: {
+        name: 'Tanh',
+        shortName: 'tanh',
+        formula: 'a = tanh(z)',
+        derivativeFormula: 'f\'(z) = 1 - tanh²(z)',
+        fn: (z) => Math.tanh(z),
+        derivative: (z) => {
+            const t = Math.tanh(z);
+            return 1 - t * t;
+        }
+    },
+
+    linear: {
+        name: 'Linear',
+        shortName: 'id',
+        formula: 'a = z',
+        derivativeFormula: 'f\'(z) = 1',
+        fn: (z) => z,
+        derivative: () => 1
+    }
+};
+
+// Export for use
+window.Activations = Activations;
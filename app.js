@@ -8,11 +8,44 @@ class App {
         // State
         this.network = null;
         this.visualizer = null;
+        this.trainingChart = null;
+        this.decisionBoundary = null;
+        
+        // Epoch-training breakpoints: { id, key, params, enabled, memory }
+        this.breakpoints = [];
+        this.nextBreakpointId = 1;
+        this.isEpochPaused = false;
+        this.stepTimeline = null;
+        
+        // Fixed sample set drawn on the decision boundary for generated datasets
+        this.previewSamples = [];
         this.isPlaying = false;
         this.animationSpeed = 1;
         this.currentInput = [];
         this.currentTarget = 0;
         this.trainingResult = null;
+        // 'train' runs forward + backward on each sample, 'predict' only the forward pass
+        this.runMode = 'train';
+        
+        // Active dataset key from Datasets
+        this.datasetKey = 'threshold';
+        
+        // Parsed table waiting for column selection in the import panel
+        this.importTable = null;
+        this.importFileName = '';
+        
+        // Class names from the last link or model file, kept whole since they may contain commas
+        this.restoredClassNames = [];
+        
+        // Hidden layer widths edited in the layer editor, and per-layer activation overrides ('' = network default)
+        this.hiddenLayerSizes = [4, 4];
+        this.hiddenLayerActivations = ['', ''];
+        this.maxHiddenLayers = 5;
+        this.maxNeuronsPerLayer = 8;
+        
+        // Seeded random source shared by weight init and sample generation
+        this.seed = 42;
+        this.rng = null;
         
         // Animation state
         this.currentStepIndex = -1;
@@ -28,6 +61,13 @@ class App {
         this.epochLosses = [];
         this.epochTimeout = null;
         
+        // Holdout split: fractions of a fixed sample pool kept out of training
+        this.validationFraction = 0;
+        this.testFraction = 0;
+        this.dataSplit = null;
+        this.epochCorrect = 0;
+        this.epochHistory = [];
+        
         // Initialize
         this.init();
     }
@@ -35,17 +75,29 @@ class App {
     init() {
         // Create visualizer
         this.visualizer = new NetworkVisualizer('network-container');
+        this.trainingChart = new TrainingChart('chart-container');
+        this.decisionBoundary = new DecisionBoundary('boundary-panel', 'boundary-canvas', 'neuron-map');
+        this.visualizer.onNeuronSelect = (layer, neuron) => this.selectFeatureMap(layer, neuron);
+        this.visualizer.featureMapProvider = (network) => this.decisionBoundary.getNeuronThumbnails(network);
+        this.visualizer.onWeightDrag = (layer, to, from, weight, finished) => this.editWeight(layer, to, from, weight, finished);
+        this.stepTimeline = new StepTimeline('step-timeline');
+        this.stepTimeline.onSeek = (index) => this.seekToStep(index);
         
         // Setup event listeners
         this.setupControls();
         this.setupSliders();
+        this.setupLayerEditor();
         this.setupPlayback();
         this.setupTabs();
         this.setupHelpModal();
         this.setupEpochControls();
+        this.setupBreakpoints();
+        this.setupDataImport();
+        this.setupModelFile();
         
-        // Build initial network
-        this.buildNetwork();
+        // Build the network a shared link describes, or the initial network
+        this.restoreFromUrl();
+        window.addEventListener('hashchange', () => this.restoreFromUrl(false));
     }
     
     setupEpochControls() {
@@ -55,9 +107,21 @@ class App {
         samplesSlider.addEventListener('input', (e) => {
             this.samplesPerEpoch = parseInt(e.target.value);
             samplesDisplay.textContent = this.samplesPerEpoch;
+            this.prepareDataSplit();
             this.updateEpochDisplay();
         });
         
+        // Validation / test split sliders
+        ['validation', 'test'].forEach(name => {
+            const slider = document.getElementById(`${name}-split`);
+            slider.addEventListener('input', (e) => {
+                this[`${name}Fraction`] = parseInt(e.target.value) / 100;
+                document.getElementById(`${name}-split-display`).textContent = `${e.target.value}%`;
+                this.prepareDataSplit();
+                this.updateEpochDisplay();
+            });
+        });
+        
         // Number of epochs slider
         const epochsSlider = document.getElementById('num-epochs');
         const epochsDisplay = document.getElementById('num-epochs-display');
@@ -65,8 +129,17 @@ class App {
             this.numEpochs = parseInt(e.target.value);
             epochsDisplay.textContent = this.numEpochs;
             this.updateEpochDisplay();
+            this.updateSchedulePreview();
         });
         
+        // Learning-rate schedule select, populated from the registry
+        const scheduleSelect = document.getElementById('lr-schedule');
+        scheduleSelect.innerHTML = Object.keys(LearningRateSchedules)
+            .map(key => `<option value="${key}">${LearningRateSchedules[key].name}</option>`)
+            .join('');
+        scheduleSelect.addEventListener('change', () => this.updateSchedulePreview());
+        this.updateSchedulePreview();
+        
         // Run epoch button
         document.getElementById('run-epoch').addEventListener('click', () => {
             this.startEpochTraining();
@@ -76,6 +149,468 @@ class App {
         document.getElementById('stop-epoch').addEventListener('click', () => {
             this.stopEpochTraining();
         });
+        
+        document.getElementById('chart-reset-zoom').addEventListener('click', () => {
+            this.trainingChart.resetZoom();
+        });
+    }
+    
+    setupBreakpoints() {
+        const conditionSelect = document.getElementById('breakpoint-condition');
+        conditionSelect.innerHTML = Object.keys(BreakpointConditions)
+            .map(key => `<option value="${key}">${BreakpointConditions[key].name}</option>`)
+            .join('');
+        conditionSelect.addEventListener('change', () => this.renderBreakpointParams());
+        
+        // Add, toggle and remove (delegated, the list is re-rendered)
+        document.getElementById('breakpoint-params').addEventListener('click', (e) => {
+            if (!e.target.closest('#add-breakpoint')) return;
+            const key = conditionSelect.value;
+            const params = {};
+            document.querySelectorAll('#breakpoint-params input').forEach(input => {
+                params[input.dataset.key] = parseFloat(input.value);
+            });
+            if (Object.values(params).some(value => !Number.isFinite(value))) return;
+            this.breakpoints.push({ id: this.nextBreakpointId++, key, params, enabled: true, memory: {} });
+            this.renderBreakpointList();
+        });
+        
+        const list = document.getElementById('breakpoint-list');
+        list.addEventListener('change', (e) => {
+            const breakpoint = this.breakpoints.find(bp => bp.id === parseInt(e.target.dataset.id));
+            if (!breakpoint) return;
+            breakpoint.enabled = e.target.checked;
+            this.renderBreakpointList();
+        });
+        
+        list.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.layer-remove');
+            if (!removeBtn) return;
+            this.breakpoints = this.breakpoints.filter(bp => bp.id !== parseInt(removeBtn.dataset.id));
+            this.renderBreakpointList();
+        });
+        
+        document.getElementById('resume-epoch').addEventListener('click', () => {
+            this.resumeEpochTraining();
+        });
+        
+        this.renderBreakpointParams();
+        this.renderBreakpointList();
+    }
+    
+    // Number fields for the selected condition's parameters, then the Add button
+    renderBreakpointParams() {
+        const condition = BreakpointConditions[document.getElementById('breakpoint-condition').value];
+        document.getElementById('breakpoint-params').innerHTML = condition.params.map(param => `
+            <label class="breakpoint-param">${param.label}
+                <input type="number" class="text-input" data-key="${param.key}" value="${param.value}" step="any">
+            </label>
+        `).join('') + '<button id="add-breakpoint" class="btn btn-secondary">Add</button>';
+    }
+    
+    renderBreakpointList(hitId = null) {
+        document.getElementById('breakpoint-list').innerHTML = this.breakpoints.map(bp => `
+            <div class="breakpoint-item ${bp.enabled ? '' : 'disabled'} ${bp.id === hitId ? 'hit' : ''}">
+                <input type="checkbox" data-id="${bp.id}" ${bp.enabled ? 'checked' : ''} title="Enable or disable">
+                <span>${BreakpointConditions[bp.key].describe(bp.params)}</span>
+                <button class="layer-remove" data-id="${bp.id}" title="Remove breakpoint">×</button>
+            </div>
+        `).join('');
+    }
+    
+    // First enabled breakpoint hit by the sample just trained; every condition still sees the sample (for its memory)
+    checkBreakpoints(context) {
+        let hit = null;
+        this.breakpoints.filter(bp => bp.enabled).forEach(bp => {
+            const reason = BreakpointConditions[bp.key].check(context, bp.params, bp.memory);
+            if (reason && !hit) {
+                hit = { breakpoint: bp, reason };
+            }
+        });
+        return hit;
+    }
+    
+    // Stop the epoch timer and replay the sample that hit the breakpoint, step by step
+    pauseAtBreakpoint(hit, epoch, sample) {
+        this.isEpochPaused = true;
+        document.getElementById('resume-epoch').style.display = 'flex';
+        this.renderBreakpointList(hit.breakpoint.id);
+        document.getElementById('breakpoint-status').textContent =
+            `Paused at epoch ${epoch}, sample ${sample}: ${hit.reason}`;
+        
+        this.reset();
+        this.startPlayback();
+    }
+    
+    resumeEpochTraining() {
+        if (!this.isEpochPaused) return;
+        this.pausePlayback();
+        this.clearBreakpointPause();
+        this.reset();
+        this.continueEpochTraining();
+    }
+    
+    clearBreakpointPause() {
+        this.isEpochPaused = false;
+        document.getElementById('resume-epoch').style.display = 'none';
+        document.getElementById('breakpoint-status').textContent = 'A hit pauses training and replays that sample step by step';
+        this.renderBreakpointList();
+    }
+    
+    setupDataImport() {
+        const dropZone = document.getElementById('drop-zone');
+        const fileInput = document.getElementById('file-input');
+        
+        dropZone.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length) {
+                this.loadImportFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        
+        // Drag and drop
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (e.dataTransfer.files.length) {
+                this.loadImportFile(e.dataTransfer.files[0]);
+            }
+        });
+        
+        // The target column can't also be a feature
+        document.getElementById('target-column').addEventListener('change', () => {
+            this.renderFeatureColumns();
+        });
+        
+        document.getElementById('apply-import').addEventListener('click', () => {
+            this.applyImport();
+        });
+    }
+    
+    setImportStatus(message, isError = false) {
+        const status = document.getElementById('import-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    async loadImportFile(file) {
+        try {
+            const text = await file.text();
+            this.importTable = ImportedDataset.parse(text, file.name);
+            this.importFileName = file.name;
+        } catch (e) {
+            this.importTable = null;
+            document.getElementById('import-options').style.display = 'none';
+            this.setImportStatus(e.message, true);
+            return;
+        }
+        
+        const { columns, rows } = this.importTable;
+        document.getElementById('import-file-info').textContent = `${file.name}: ${rows.length} rows, ${columns.length} columns`;
+        
+        // Default target is the last column
+        const targetSelect = document.getElementById('target-column');
+        targetSelect.innerHTML = columns.map(col => `<option value="${escapeHtml(col)}">${escapeHtml(col)}</option>`).join('');
+        targetSelect.value = columns[columns.length - 1];
+        
+        this.renderFeatureColumns(true);
+        document.getElementById('import-options').style.display = 'flex';
+        this.setImportStatus('');
+    }
+    
+    // Checkbox chips for the numeric columns; all selected by default
+    renderFeatureColumns(selectAll = false) {
+        const container = document.getElementById('feature-columns');
+        const target = document.getElementById('target-column').value;
+        const numeric = ImportedDataset.numericColumns(this.importTable);
+        const previous = new Set(Array.from(container.querySelectorAll('input:checked')).map(input => input.value));
+        
+        container.innerHTML = this.importTable.columns.map(col => {
+            const usable = numeric.includes(col) && col !== target;
+            const checked = usable && (selectAll || previous.has(col) || !previous.size);
+            return `
+                <label class="column-chip ${usable ? '' : 'disabled'}">
+                    <input type="checkbox" value="${escapeHtml(col)}" ${checked ? 'checked' : ''} ${usable ? '' : 'disabled'}>
+                    ${escapeHtml(col)}
+                </label>
+            `;
+        }).join('');
+    }
+    
+    applyImport() {
+        if (!this.importTable) return;
+        
+        const features = Array.from(document.querySelectorAll('#feature-columns input:checked')).map(input => input.value);
+        if (features.length === 0) {
+            this.setImportStatus('Select at least one numeric feature column', true);
+            return;
+        }
+        
+        let dataset;
+        try {
+            dataset = new ImportedDataset(this.importTable, {
+                fileName: this.importFileName,
+                features,
+                target: document.getElementById('target-column').value,
+                normalization: document.getElementById('normalization').value,
+                shuffle: document.getElementById('row-order').value === 'shuffled'
+            });
+        } catch (e) {
+            this.setImportStatus(e.message, true);
+            return;
+        }
+        
+        // Every class needs its own output neuron
+        const maxOutputs = parseInt(document.getElementById('output-count').max);
+        if (dataset.task === 'classification' && dataset.classNames.length > maxOutputs) {
+            this.setImportStatus(`Target column "${dataset.targetColumn}" has ${dataset.classNames.length} classes, but the output layer supports at most ${maxOutputs}`, true);
+            return;
+        }
+        
+        Datasets.imported = dataset.toDatasetEntry();
+        
+        // Match the task to the imported target; updateDatasetControls pins the output count to its classes
+        document.getElementById('task').value = dataset.task;
+        this.updateOutputMode();
+        
+        this.datasetKey = 'imported';
+        this.populateDatasetOptions();
+        this.updateDatasetControls();
+        this.buildNetwork();
+        
+        const skipped = dataset.skippedRows
+            ? ` (${dataset.skippedRows} row${dataset.skippedRows === 1 ? '' : 's'} skipped)`
+            : '';
+        const taskText = dataset.task === 'classification' ? `${dataset.classNames.length} classes` : 'regression';
+        this.setImportStatus(`Loaded ${dataset.size} rows, ${taskText}${skipped}`);
+    }
+    
+    setupModelFile() {
+        const fileInput = document.getElementById('model-file-input');
+        
+        document.getElementById('save-model').addEventListener('click', () => {
+            this.saveModel();
+        });
+        document.getElementById('load-model').addEventListener('click', () => fileInput.click());
+        document.getElementById('copy-link').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length) {
+                this.loadModelFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+    }
+    
+    // Put the network in the URL hash and copy the link; weights are included only when asked for
+    copyShareLink() {
+        if (!this.network) return;
+        
+        const includeWeights = document.getElementById('share-weights').checked;
+        const hash = UrlState.encode(this.network, {
+            learningRate: this.getBaseLearningRate(),
+            seed: this.seed,
+            dataset: this.datasetKey,
+            batchMode: document.getElementById('batch-mode').value,
+            includeWeights
+        });
+        // replaceState doesn't fire hashchange, so the network isn't rebuilt
+        history.replaceState(null, '', `#${hash}`);
+        
+        const link = window.location.href;
+        const done = () => this.setModelStatus(`Link copied${includeWeights ? ' with weights' : ''} (${link.length} characters)`);
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(link).then(done, () => this.setModelStatus('Link is in the address bar; copy it from there'));
+        } else {
+            this.setModelStatus('Link is in the address bar; copy it from there');
+        }
+    }
+    
+    // Restore the state a link encodes; without one (or with an invalid one) buildFallback builds from the controls
+    restoreFromUrl(buildFallback = true) {
+        let state = null;
+        try {
+            state = UrlState.decode(window.location.hash);
+            if (state && state.weights) {
+                this.applyModel(state);
+            } else if (state) {
+                this.applyConfigToControls(state.config, state.layerSizes);
+                this.buildNetwork();
+            }
+        } catch (e) {
+            this.setModelStatus(`Link ignored: ${e.message}`, true);
+            state = null;
+        }
+        
+        if (!state) {
+            if (buildFallback) {
+                this.buildNetwork();
+            }
+        } else {
+            this.setModelStatus(`Restored from link: ${state.layerSizes.join(' → ')}${state.weights ? ' with weights' : ''}`);
+        }
+    }
+    
+    setModelStatus(message, isError = false) {
+        const status = document.getElementById('model-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // Download the live network with the base learning rate, seed, dataset and chart history
+    saveModel() {
+        if (!this.network) return;
+        
+        const model = ModelFile.create(this.network, {
+            learningRate: this.getBaseLearningRate(),
+            seed: this.seed,
+            dataset: this.datasetKey,
+            batchMode: document.getElementById('batch-mode').value,
+            history: this.trainingChart.getHistory()
+        });
+        const fileName = `model-${this.network.layers.join('-')}.json`;
+        const url = URL.createObjectURL(new Blob([JSON.stringify(model, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.setModelStatus(`Saved ${fileName}`);
+    }
+    
+    async loadModelFile(file) {
+        try {
+            const model = ModelFile.parse(await file.text());
+            this.applyModel(model);
+            this.setModelStatus(`Loaded ${file.name}: ${model.layerSizes.join(' → ')}`);
+        } catch (e) {
+            this.setModelStatus(e.message, true);
+        }
+    }
+    
+    // Set the architecture, hyperparameter, seed and dataset controls from a model file or link config
+    applyConfigToControls(config, layerSizes) {
+        const hiddenSizes = layerSizes.slice(1, -1);
+        if (hiddenSizes.length > this.maxHiddenLayers || hiddenSizes.some(size => size > this.maxNeuronsPerLayer)) {
+            throw new Error(`The layer editor supports up to ${this.maxHiddenLayers} hidden layers of 1-${this.maxNeuronsPerLayer} neurons, got ${hiddenSizes.join(', ')}`);
+        }
+        // Sliders would clamp anything outside their range, leaving the controls out of step with the network
+        const limits = id => {
+            const slider = document.getElementById(id);
+            return { min: parseFloat(slider.min), max: parseFloat(slider.max), step: parseFloat(slider.step) || 1 };
+        };
+        const outputLimits = limits('output-count');
+        const rateLimits = limits('learning-rate');
+        if (layerSizes[layerSizes.length - 1] > outputLimits.max) {
+            throw new Error(`The output layer supports ${outputLimits.min}-${outputLimits.max} neurons, got ${layerSizes[layerSizes.length - 1]}`);
+        }
+        const batchLimits = limits('batch-size');
+        if (config.batchMode === 'mini' && config.batchSize !== undefined &&
+            (config.batchSize < batchLimits.min || config.batchSize > batchLimits.max)) {
+            throw new Error(`Mini-batches hold ${batchLimits.min}-${batchLimits.max} samples, got ${config.batchSize}`);
+        }
+        const rateSteps = config.learningRate / rateLimits.step;
+        if (config.learningRate < rateLimits.min || config.learningRate > rateLimits.max ||
+            Math.abs(rateSteps - Math.round(rateSteps)) > 1e-6) {
+            throw new Error(`Learning rate must be ${rateLimits.min}-${rateLimits.max} in steps of ${rateLimits.step}, got ${config.learningRate}`);
+        }
+        
+        // The config's dataset if it still fits, otherwise the first one for this task and input count
+        const inputSize = layerSizes[0];
+        const outputSize = layerSizes[layerSizes.length - 1];
+        const fits = key => Datasets[key] && Datasets[key].task === config.task &&
+            (!Datasets[key].inputSize || Datasets[key].inputSize === inputSize) &&
+            (!this.getDatasetOutputSize(Datasets[key]) || this.getDatasetOutputSize(Datasets[key]) === outputSize);
+        const datasetKey = fits(config.dataset) ? config.dataset : Object.keys(Datasets).find(fits);
+        if (!datasetKey) {
+            throw new Error(`No dataset fits ${inputSize} inputs and ${outputSize} outputs; import matching training data first`);
+        }
+        // The input slider's range depends on the dataset, so check against the one being switched to
+        const maxInputs = this.getMaxInputs(Datasets[datasetKey]);
+        if (inputSize > maxInputs) {
+            throw new Error(`The input layer supports 1-${maxInputs} neurons with this dataset, got ${inputSize}`);
+        }
+        
+        if (this.isEpochTraining) {
+            this.stopEpochTraining();
+        }
+        
+        // Architecture and hyperparameter controls
+        document.getElementById('task').value = config.task;
+        document.getElementById('output-count').value = outputSize;
+        document.getElementById('output-count-display').textContent = outputSize;
+        this.restoredClassNames = (config.classNames || []).slice();
+        document.getElementById('class-names').value = this.restoredClassNames.join(', ');
+        this.hiddenLayerSizes = hiddenSizes;
+        this.hiddenLayerActivations = hiddenSizes.map((_, i) => {
+            const key = config.layerActivations && config.layerActivations[i];
+            return key && key !== config.activationFunction ? key : '';
+        });
+        this.renderLayerEditor();
+        document.getElementById('activation-function').value = config.activationFunction;
+        document.getElementById('activation-hint').textContent = Activations[config.activationFunction].formula;
+        this.updateOutputMode();
+        document.getElementById('loss-function').value = config.lossFunction;
+        
+        const lrSlider = document.getElementById('learning-rate');
+        lrSlider.value = config.learningRate;
+        document.getElementById('learning-rate-display').textContent = parseFloat(lrSlider.value).toFixed(2);
+        document.getElementById('optimizer').value = config.optimizer;
+        // Files saved before batchMode was recorded only have the size to go on
+        const batchMode = config.batchMode || (config.batchSize &&
+            (config.batchSize === 1 ? 'stochastic' : (config.batchSize <= 16 ? 'mini' : 'full')));
+        if (batchMode) {
+            document.getElementById('batch-mode').value = batchMode;
+        }
+        if (batchMode === 'mini' && config.batchSize) {
+            document.getElementById('batch-size').value = config.batchSize;
+        }
+        if (config.seed !== undefined) {
+            this.setSeed(config.seed);
+        }
+        
+        this.datasetKey = datasetKey;
+        this.populateDatasetOptions();
+        this.updateDatasetControls();
+        document.getElementById('input-count').value = inputSize;
+        document.getElementById('input-count-display').textContent = inputSize;
+        this.updateLayerSummary();
+        // Full batches follow the restored dataset's epoch length
+        this.applyBatchSize();
+    }
+    
+    // Rebuild the network from a validated model file and sync the controls to it; the weights are not trained
+    applyModel(model) {
+        this.applyConfigToControls(model.config, model.layerSizes);
+        
+        this.rng = new SeededRandom(this.seed);
+        this.network = ModelFile.createNetwork(model, this.rng);
+        this.network.learningRate = this.getBaseLearningRate();
+        this.decisionBoundary.selectedNeuron = null;
+        this.visualizer.selectedNeuron = null;
+        this.visualizer.setNetwork(this.network);
+        
+        this.trainingChart.setHistory(model.history || {});
+        
+        const dataset = Datasets[this.datasetKey];
+        if (dataset.startEpoch) {
+            dataset.startEpoch(this.rng);
+        }
+        this.prepareDataSplit();
+        this.preparePreviewSamples();
+        
+        // Show the loaded model's prediction for a fresh sample; Play trains on it as usual
+        this.generateNewSample(false);
+        this.updateInfoPanel();
     }
     
     updateEpochDisplay() {
@@ -95,6 +630,191 @@ class App {
         }
     }
     
+    // Partition a fixed pool of samples into train / validation / test sets
+    prepareDataSplit() {
+        if (!this.network || !this.rng) return;
+        
+        const dataset = Datasets[this.datasetKey];
+        const samplesSlider = document.getElementById('samples-per-epoch');
+        const holdout = this.validationFraction + this.testFraction;
+        this.dataSplit = null;
+        this.samplesPerEpoch = dataset.size || parseInt(samplesSlider.value);
+        
+        if (holdout > 0) {
+            let pool;
+            if (dataset.samples) {
+                pool = dataset.samples.map(sample => ({ input: sample.input.slice(), target: sample.target }));
+            } else {
+                // Generated datasets: draw enough samples that the training share matches the slider
+                const numClasses = this.network.isMultiClass() ? this.network.outputSize : 2;
+                const total = Math.ceil(this.samplesPerEpoch / (1 - holdout));
+                pool = Array.from({ length: total }, () =>
+                    dataset.generate(this.rng, this.network.inputSize, numClasses));
+            }
+            
+            const indices = this.rng.shuffle(pool.map((_, i) => i));
+            const numValidation = Math.round(pool.length * this.validationFraction);
+            const numTest = Math.min(Math.round(pool.length * this.testFraction), pool.length - numValidation - 1);
+            const trainIndices = indices.slice(numValidation + numTest);
+            // Ordered imports keep their file order within the training set
+            if (dataset.samples && !dataset.shuffle) {
+                trainIndices.sort((a, b) => a - b);
+            }
+            
+            this.dataSplit = {
+                train: trainIndices.map(i => pool[i]),
+                validation: indices.slice(0, numValidation).map(i => pool[i]),
+                test: indices.slice(numValidation, numValidation + numTest).map(i => pool[i]),
+                shuffle: dataset.samples ? dataset.shuffle : true,
+                order: trainIndices.map((_, i) => i),
+                cursor: 0
+            };
+            this.samplesPerEpoch = this.dataSplit.train.length;
+        }
+        
+        document.getElementById('samples-per-epoch-display').textContent = this.samplesPerEpoch;
+        this.applyBatchSize();
+        document.getElementById('split-summary').textContent = this.dataSplit
+            ? `Train ${this.dataSplit.train.length} · Validation ${this.dataSplit.validation.length} · Test ${this.dataSplit.test.length}`
+            : 'No holdout: every sample is freshly drawn';
+        this.resetSplitStats();
+    }
+    
+    // Samples per weight update: 1, the mini-batch slider, or the whole epoch
+    getBatchSize() {
+        switch (document.getElementById('batch-mode').value) {
+            case 'mini': return parseInt(document.getElementById('batch-size').value);
+            case 'full': return this.samplesPerEpoch;
+            default: return 1;
+        }
+    }
+    
+    applyBatchSize() {
+        const batchSize = this.getBatchSize();
+        document.getElementById('batch-size').style.display =
+            document.getElementById('batch-mode').value === 'mini' ? '' : 'none';
+        document.getElementById('batch-size-display').textContent = batchSize;
+        
+        if (this.network && this.network.batchSize !== batchSize) {
+            this.network.setBatchSize(batchSize);
+            this.updateInfoPanel();
+        }
+    }
+    
+    // Points overlaid on the decision boundary: the split (validation hollow), the imported rows, or a preview set
+    getBoundaryPoints() {
+        if (this.dataSplit) {
+            return [
+                ...this.dataSplit.train,
+                ...this.dataSplit.validation.map(sample => ({ ...sample, holdout: true }))
+            ];
+        }
+        const dataset = Datasets[this.datasetKey];
+        return dataset.samples || this.previewSamples;
+    }
+    
+    // Draw the preview set from its own seeded stream so training samples are unaffected
+    preparePreviewSamples() {
+        this.previewSamples = [];
+        const dataset = Datasets[this.datasetKey];
+        if (!this.network || this.network.inputSize !== 2 || dataset.samples) return;
+        
+        const rng = new SeededRandom(`${this.seed}-preview`);
+        const numClasses = this.network.isMultiClass() ? this.network.outputSize : 2;
+        this.previewSamples = Array.from({ length: 150 }, () => dataset.generate(rng, 2, numClasses));
+    }
+    
+    refreshDecisionBoundary() {
+        this.decisionBoundary.render(this.network, this.getBoundaryPoints());
+    }
+    
+    // Show (or close, on a second click) a hidden neuron's feature map under the decision boundary
+    selectFeatureMap(layer, neuron) {
+        this.visualizer.selectedNeuron = this.decisionBoundary.selectNeuron(this.network, layer, neuron);
+        this.visualizer.render(this.network);
+    }
+    
+    // Rewind the training set, reshuffling its order unless the import asked for file order
+    startSplitEpoch() {
+        const split = this.dataSplit;
+        split.cursor = 0;
+        split.order = split.train.map((_, i) => i);
+        if (split.shuffle) {
+            this.rng.shuffle(split.order);
+        }
+    }
+    
+    // Next training sample: from the split's training set when one is active, otherwise from the dataset
+    drawSample() {
+        const split = this.dataSplit;
+        if (split) {
+            if (split.cursor >= split.order.length) {
+                this.startSplitEpoch();
+            }
+            const sample = split.train[split.order[split.cursor++]];
+            return { input: sample.input.slice(), target: sample.target };
+        }
+        
+        const numClasses = this.network.isMultiClass() ? this.network.outputSize : 2;
+        return Datasets[this.datasetKey].generate(this.rng, this.network.inputSize, numClasses);
+    }
+    
+    resetSplitStats() {
+        this.epochHistory = [];
+        ['train-loss', 'train-acc', 'val-loss', 'val-acc', 'test-loss', 'test-acc'].forEach(id => {
+            document.getElementById(id).textContent = '--';
+        });
+    }
+    
+    // Fill one row of the split table; accuracy is meaningless for regression
+    showSplitMetrics(prefix, loss, accuracy) {
+        document.getElementById(`${prefix}-loss`).textContent = loss === null ? '--' : loss.toFixed(4);
+        document.getElementById(`${prefix}-acc`).textContent = accuracy === null ? '--' : `${(accuracy * 100).toFixed(1)}%`;
+    }
+    
+    getBaseLearningRate() {
+        return parseFloat(document.getElementById('learning-rate').value);
+    }
+    
+    // Fractional epoch position of the next sample: 0 at the start of the run, numEpochs at the end
+    getEpochPosition() {
+        return this.currentEpoch + this.currentSampleInEpoch / this.samplesPerEpoch;
+    }
+    
+    getScheduledLearningRate(position) {
+        const schedule = LearningRateSchedules[document.getElementById('lr-schedule').value];
+        return schedule.rate(this.getBaseLearningRate(), position, this.numEpochs);
+    }
+    
+    // Redraw the schedule curve over the whole run; position (if given) marks where training is now
+    updateSchedulePreview(position = null) {
+        const svg = document.getElementById('lr-schedule-preview');
+        const schedule = LearningRateSchedules[document.getElementById('lr-schedule').value];
+        const width = 260;
+        const height = 60;
+        const pad = 6;
+        
+        const points = Array.from({ length: 61 }, (_, k) => {
+            const epoch = (k / 60) * this.numEpochs;
+            return [epoch, this.getScheduledLearningRate(epoch)];
+        });
+        const maxRate = Math.max(...points.map(([, rate]) => rate), 1e-9);
+        const toX = epoch => pad + (epoch / this.numEpochs) * (width - 2 * pad);
+        const toY = rate => height - pad - (rate / maxRate) * (height - 2 * pad);
+        
+        let html = `<polyline points="${points.map(([e, r]) => `${toX(e).toFixed(1)},${toY(r).toFixed(1)}`).join(' ')}" fill="none" stroke="#00d4ff" stroke-width="1.5"/>`;
+        if (position !== null) {
+            const rate = this.getScheduledLearningRate(position);
+            html += `<circle cx="${toX(position)}" cy="${toY(rate)}" r="3.5" fill="#fbbf24"/>`;
+        }
+        svg.innerHTML = html;
+        
+        document.getElementById('lr-schedule-hint').textContent = schedule.formula;
+        document.getElementById('current-lr').textContent = this.network
+            ? Number(this.network.learningRate.toFixed(4)).toString()
+            : this.getBaseLearningRate().toString();
+    }
+    
     startEpochTraining() {
         if (!this.network) {
             this.buildNetwork();
@@ -104,48 +824,116 @@ class App {
         this.currentEpoch = 0;
         this.currentSampleInEpoch = 0;
         this.epochLosses = [];
+        this.epochCorrect = 0;
+        this.resetSplitStats();
+        // Start from an empty batch so every epoch holds whole batches
+        this.network.resetBatch();
+        // Breakpoint conditions start each run without remembered inputs
+        this.breakpoints.forEach(bp => {
+            bp.memory = {};
+        });
+        this.clearBreakpointPause();
         
         // Update UI
         document.getElementById('run-epoch').style.display = 'none';
         document.getElementById('stop-epoch').style.display = 'flex';
         
         this.updateEpochDisplay();
-        this.runNextEpochSample();
+        this.continueEpochTraining();
     }
     
     stopEpochTraining() {
         this.isEpochTraining = false;
+        if (this.isEpochPaused) {
+            this.clearBreakpointPause();
+        }
         
         if (this.epochTimeout) {
             clearTimeout(this.epochTimeout);
             this.epochTimeout = null;
         }
         
+        // Manual steps outside epoch training use the base rate again
+        if (this.network) {
+            this.network.learningRate = this.getBaseLearningRate();
+        }
+        this.updateSchedulePreview();
+        
         // Update UI
         document.getElementById('run-epoch').style.display = 'flex';
         document.getElementById('stop-epoch').style.display = 'none';
     }
     
+    // Run the next epoch sample; an error stops training so the controls don't stay locked
+    continueEpochTraining() {
+        try {
+            this.runNextEpochSample();
+        } catch (e) {
+            this.stopEpochTraining();
+            this.updatePhaseIndicator(`Training stopped: ${e.message}`);
+        }
+    }
+    
     runNextEpochSample() {
         if (!this.isEpochTraining) return;
         
         // Check if we've completed all epochs
         if (this.currentEpoch >= this.numEpochs) {
             this.stopEpochTraining();
+            // The test set is only touched once, after training has finished
+            if (this.dataSplit) {
+                const test = this.network.evaluateDataset(this.dataSplit.test);
+                this.showSplitMetrics('test', test.loss, test.accuracy);
+            }
             this.updatePhaseIndicator('Training Complete!');
             return;
         }
         
-        // Generate new sample
-        this.generateNewSample();
+        // Fixed-size datasets rewind (and optionally reshuffle) at each epoch boundary
+        const dataset = Datasets[this.datasetKey];
+        if (this.currentSampleInEpoch === 0) {
+            this.epochCorrect = 0;
+            if (this.dataSplit) {
+                this.startSplitEpoch();
+            } else if (dataset.startEpoch) {
+                dataset.startEpoch(this.rng);
+            }
+        }
         
-        // Run training
-        this.trainingResult = this.network.train(this.currentInput, this.currentTarget);
+        // Scheduled learning rate for this sample
+        const position = this.getEpochPosition();
+        this.network.learningRate = this.getScheduledLearningRate(position);
+        this.updateSchedulePreview(position);
+        
+        // Draw the next sample; the train() call below is its only training pass
+        this.loadNextSample();
+        
+        // Run training; the last sample of an epoch flushes a partially filled batch
+        const endOfEpoch = this.currentSampleInEpoch === this.samplesPerEpoch - 1;
+        this.trainingResult = this.network.train(this.currentInput, this.currentTarget, endOfEpoch);
+        this.currentStepIndex = -1;
+        this.stepTimeline.setSteps(this.trainingResult.steps);
+        this.updateTimelinePosition();
         this.epochLosses.push(this.trainingResult.loss);
         
+        const epoch = this.currentEpoch + 1;
+        const sample = this.currentSampleInEpoch + 1;
+        const hit = this.checkBreakpoints({
+            network: this.network,
+            result: this.trainingResult,
+            input: this.currentInput,
+            target: this.currentTarget,
+            epoch,
+            sample
+        });
+        this.trainingChart.addSample(this.trainingResult.loss);
+        if (!this.network.isRegression() &&
+            this.network.getPredictedClass(this.trainingResult.output) === this.currentTarget) {
+            this.epochCorrect++;
+        }
+        
         // Update display
-        document.getElementById('current-output').textContent = this.trainingResult.output.toFixed(4);
-        document.getElementById('current-loss').textContent = this.trainingResult.loss.toFixed(6);
+        this.updateResultDisplay(this.trainingResult.output, this.trainingResult.loss);
         
         // Update visualization
         this.visualizer.render(this.network);
@@ -163,18 +951,44 @@ class App {
             const epochStartIdx = (this.currentEpoch - 1) * this.samplesPerEpoch;
             const epochLosses = this.epochLosses.slice(epochStartIdx);
             const epochAvgLoss = epochLosses.reduce((a, b) => a + b, 0) / epochLosses.length;
+            const epochAccuracy = this.network.isRegression() ? null : this.epochCorrect / epochLosses.length;
+            
+            // Validation metrics use forward passes only, so they never change the weights
+            const validation = this.network.evaluateDataset(this.dataSplit ? this.dataSplit.validation : []);
+            
+            const summary = {
+                epoch: this.currentEpoch,
+                trainLoss: epochAvgLoss,
+                trainAccuracy: epochAccuracy,
+                validationLoss: validation.loss,
+                validationAccuracy: validation.accuracy
+            };
+            this.epochHistory.push(summary);
+            this.trainingChart.addEpoch(summary);
+            this.showSplitMetrics('train', epochAvgLoss, epochAccuracy);
+            this.showSplitMetrics('val', validation.loss, validation.accuracy);
             
-            this.updatePhaseIndicator(`Epoch ${this.currentEpoch} Complete - Avg Loss: ${epochAvgLoss.toFixed(4)}`);
+            const valText = validation.loss === null ? '' : ` - Val Loss: ${validation.loss.toFixed(4)}`;
+            this.updatePhaseIndicator(`Epoch ${this.currentEpoch} Complete - Avg Loss: ${epochAvgLoss.toFixed(4)}${valText}`);
         } else {
             this.updatePhaseIndicator(`Epoch ${this.currentEpoch + 1} - Sample ${this.currentSampleInEpoch}/${this.samplesPerEpoch}`);
         }
         
         this.updateEpochDisplay();
+        this.trainingChart.render();
+        if (document.getElementById('boundary-refresh').value === 'sample' || this.currentSampleInEpoch === 0) {
+            this.refreshDecisionBoundary();
+        }
+        
+        if (hit) {
+            this.pauseAtBreakpoint(hit, epoch, sample);
+            return;
+        }
         
         // Schedule next sample
         const delay = 300 / this.animationSpeed;
         this.epochTimeout = setTimeout(() => {
-            this.runNextEpochSample();
+            this.continueEpochTraining();
         }, delay);
     }
     
@@ -219,13 +1033,16 @@ class App {
             this.buildNetwork();
         });
         
-        // Randomize weights button
+        // Randomize weights button - draws a new seed so the new weights stay reproducible
         document.getElementById('randomize-weights').addEventListener('click', () => {
             if (this.network) {
+                this.setSeed(SeededRandom.randomSeed());
+                this.rng.setSeed(this.seed);
                 this.network.initializeNetwork();
                 this.visualizer.render(this.network);
                 this.reset();
                 this.updateInfoPanel();
+                this.refreshDecisionBoundary();
             }
         });
         
@@ -233,6 +1050,37 @@ class App {
         document.getElementById('new-sample').addEventListener('click', () => {
             this.generateNewSample();
         });
+        
+        // Sample mode - switching drops the current trace; the next sample, edit or Play uses the new mode
+        document.getElementById('run-mode').addEventListener('change', (e) => {
+            this.setRunMode(e.target.value);
+        });
+        
+        // Editable sample fields - re-rendered with every sample, so listen on the panel
+        document.getElementById('data-display').addEventListener('change', (e) => {
+            if (e.target.classList.contains('sample-field') && this.network) {
+                this.editSampleField(e.target);
+            }
+        });
+        
+        // New seed button - takes effect on the next Build Network
+        document.getElementById('new-seed').addEventListener('click', () => {
+            document.getElementById('seed-input').value = SeededRandom.randomSeed();
+        });
+        
+        // Feature maps - close the selected neuron's map, or toggle maps inside the neuron circles
+        document.getElementById('neuron-map-close').addEventListener('click', () => {
+            const selected = this.decisionBoundary.selectedNeuron;
+            if (selected) {
+                this.selectFeatureMap(selected.layer, selected.neuron);
+            }
+        });
+        
+        document.getElementById('feature-maps-toggle').addEventListener('click', (e) => {
+            this.visualizer.showFeatureMaps = !this.visualizer.showFeatureMaps;
+            e.currentTarget.setAttribute('aria-pressed', String(this.visualizer.showFeatureMaps));
+            this.visualizer.render(this.network);
+        });
     }
     
     setupSliders() {
@@ -241,20 +1089,38 @@ class App {
         const inputDisplay = document.getElementById('input-count-display');
         inputSlider.addEventListener('input', () => {
             inputDisplay.textContent = inputSlider.value;
+            this.updateLayerSummary();
+        });
+        
+        // Output count slider - switches between sigmoid and softmax output
+        const outputSlider = document.getElementById('output-count');
+        const outputDisplay = document.getElementById('output-count-display');
+        outputSlider.addEventListener('input', () => {
+            outputDisplay.textContent = outputSlider.value;
+            this.updateOutputMode();
         });
         
-        // Hidden layers slider
-        const hiddenSlider = document.getElementById('hidden-layers');
-        const hiddenDisplay = document.getElementById('hidden-layers-display');
-        hiddenSlider.addEventListener('input', () => {
-            hiddenDisplay.textContent = hiddenSlider.value;
+        // Task select - regression forces a single linear output; datasets are filtered by task
+        document.getElementById('task').addEventListener('change', () => {
+            this.updateOutputMode();
+            this.populateDatasetOptions();
+            this.selectDataset(document.getElementById('dataset').value);
         });
         
-        // Neurons per layer slider
-        const neuronsSlider = document.getElementById('neurons-per-layer');
-        const neuronsDisplay = document.getElementById('neurons-per-layer-display');
-        neuronsSlider.addEventListener('input', () => {
-            neuronsDisplay.textContent = neuronsSlider.value;
+        // Dataset select
+        document.getElementById('dataset').addEventListener('change', (e) => {
+            this.selectDataset(e.target.value);
+        });
+        this.populateDatasetOptions();
+        this.updateDatasetControls();
+        
+        // Activation select, populated from the registry
+        const activationSelect = document.getElementById('activation-function');
+        activationSelect.innerHTML = Object.keys(Activations)
+            .map(key => `<option value="${key}">${Activations[key].name}</option>`)
+            .join('');
+        activationSelect.addEventListener('change', () => {
+            document.getElementById('activation-hint').textContent = Activations[activationSelect.value].formula;
         });
         
         // Learning rate slider
@@ -265,8 +1131,20 @@ class App {
             if (this.network) {
                 this.network.learningRate = parseFloat(lrSlider.value);
             }
+            this.updateSchedulePreview();
+        });
+        
+        // Optimizer: switching keeps the weights but clears velocity / moment estimates
+        document.getElementById('optimizer').addEventListener('change', (e) => {
+            if (this.network) {
+                this.network.setOptimizer(e.target.value);
+            }
         });
         
+        // Batch size: mode select plus a size slider for mini-batches
+        document.getElementById('batch-mode').addEventListener('change', () => this.applyBatchSize());
+        document.getElementById('batch-size').addEventListener('input', () => this.applyBatchSize());
+        
         // Animation speed slider
         const speedSlider = document.getElementById('animation-speed');
         const speedDisplay = document.getElementById('speed-display');
@@ -276,6 +1154,193 @@ class App {
         });
     }
     
+    // Output activation implied by the task and output count selected in the panel
+    getSelectedOutputActivation() {
+        if (document.getElementById('task').value === 'regression') return 'linear';
+        return parseInt(document.getElementById('output-count').value) > 1 ? 'softmax' : 'sigmoid';
+    }
+    
+    // Sync the output-related controls with the selected task and output count
+    updateOutputMode() {
+        const outputActivation = this.getSelectedOutputActivation();
+        const outputSize = parseInt(document.getElementById('output-count').value);
+        const hints = {
+            linear: 'Regression (linear output)',
+            softmax: `${outputSize}-class classification (softmax)`,
+            sigmoid: 'Binary classification (sigmoid)'
+        };
+        
+        const dataset = Datasets[this.datasetKey];
+        document.getElementById('output-count').disabled = outputActivation === 'linear' ||
+            Boolean(dataset && this.getDatasetOutputSize(dataset));
+        document.getElementById('output-mode-hint').textContent = hints[outputActivation];
+        document.getElementById('class-names-section').style.display = outputActivation === 'softmax' ? 'flex' : 'none';
+        document.getElementById('residual-row').style.display = outputActivation === 'linear' ? 'flex' : 'none';
+        this.updateLossOptions();
+        this.updateLayerSummary();
+    }
+    
+    populateDatasetOptions() {
+        const task = document.getElementById('task').value;
+        const select = document.getElementById('dataset');
+        const keys = Object.keys(Datasets).filter(key => Datasets[key].task === task);
+        
+        select.innerHTML = keys
+            .map(key => `<option value="${key}">${escapeHtml(Datasets[key].name)}</option>`)
+            .join('');
+        select.value = keys.includes(this.datasetKey) ? this.datasetKey : keys[0];
+    }
+    
+    // Lock the input count for datasets with a fixed dimensionality (the 2D generators)
+    updateDatasetControls() {
+        const dataset = Datasets[document.getElementById('dataset').value];
+        const inputSlider = document.getElementById('input-count');
+        
+        inputSlider.max = this.getMaxInputs(dataset);
+        if (dataset.inputSize) {
+            inputSlider.value = dataset.inputSize;
+            document.getElementById('input-count-display').textContent = dataset.inputSize;
+        }
+        inputSlider.disabled = Boolean(dataset.inputSize);
+        document.getElementById('dataset-hint').textContent = dataset.description;
+        
+        // Datasets with their own class list (imported tables) need one output per class
+        const outputSize = this.getDatasetOutputSize(dataset);
+        if (outputSize) {
+            document.getElementById('output-count').value = outputSize;
+            document.getElementById('output-count-display').textContent = outputSize;
+        }
+        this.updateOutputMode();
+        
+        // Fixed-size datasets (imported tables) define the epoch length themselves
+        const samplesSlider = document.getElementById('samples-per-epoch');
+        this.samplesPerEpoch = dataset.size || parseInt(samplesSlider.value);
+        samplesSlider.disabled = Boolean(dataset.size);
+        document.getElementById('samples-per-epoch-display').textContent = this.samplesPerEpoch;
+        this.updateEpochDisplay();
+        
+        this.updateLayerSummary();
+    }
+    
+    // Imported tables may have more features than the usual 6 inputs
+    getMaxInputs(dataset) {
+        return Math.max(6, dataset.inputSize || 0);
+    }
+    
+    // Output count a dataset's targets require: 1 for two classes, one per class above that; null if any count works
+    getDatasetOutputSize(dataset) {
+        if (dataset.task !== 'classification' || !dataset.classNames || !dataset.classNames.length) return null;
+        return dataset.classNames.length > 2 ? dataset.classNames.length : 1;
+    }
+    
+    // Switch datasets; rebuild when the current network can't consume the new samples
+    selectDataset(key) {
+        this.datasetKey = key;
+        this.updateDatasetControls();
+        
+        if (!this.network) return;
+        
+        const dataset = Datasets[key];
+        const inputMismatch = dataset.inputSize && dataset.inputSize !== this.network.inputSize;
+        // Imported tables also carry their own class list, so always rebuild for them
+        if (dataset.task !== this.network.task || inputMismatch || dataset.size) {
+            this.buildNetwork();
+        } else {
+            this.prepareDataSplit();
+            this.preparePreviewSamples();
+            this.generateNewSample();
+        }
+    }
+    
+    // Disable losses that don't fit the current output activation and swap to a valid one if needed
+    updateLossOptions() {
+        const outputActivation = this.getSelectedOutputActivation();
+        const select = document.getElementById('loss-function');
+        const fallbacks = { linear: 'mse', softmax: 'cross_entropy', sigmoid: 'binary_cross_entropy' };
+        
+        Array.from(select.options).forEach(option => {
+            option.disabled = !isLossCompatible(option.value, outputActivation);
+        });
+        
+        if (!isLossCompatible(select.value, outputActivation)) {
+            select.value = fallbacks[outputActivation];
+        }
+    }
+    
+    setupLayerEditor() {
+        const editor = document.getElementById('layer-editor');
+        
+        // Add layer button - new layers copy the width of the last hidden layer
+        document.getElementById('add-layer').addEventListener('click', () => {
+            if (this.hiddenLayerSizes.length >= this.maxHiddenLayers) return;
+            const lastSize = this.hiddenLayerSizes[this.hiddenLayerSizes.length - 1] || 4;
+            this.hiddenLayerSizes.push(lastSize);
+            this.hiddenLayerActivations.push('');
+            this.renderLayerEditor();
+        });
+        
+        // Row sliders and remove buttons (delegated, rows are re-rendered)
+        editor.addEventListener('input', (e) => {
+            if (!e.target.matches('.layer-size-slider')) return;
+            const index = parseInt(e.target.dataset.index);
+            this.hiddenLayerSizes[index] = parseInt(e.target.value);
+            e.target.closest('.layer-row').querySelector('.value-display').textContent = e.target.value;
+            this.updateLayerSummary();
+        });
+        
+        editor.addEventListener('change', (e) => {
+            if (!e.target.matches('.layer-activation')) return;
+            this.hiddenLayerActivations[parseInt(e.target.dataset.index)] = e.target.value;
+        });
+        
+        editor.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.layer-remove');
+            if (!removeBtn || this.hiddenLayerSizes.length <= 1) return;
+            this.hiddenLayerSizes.splice(parseInt(removeBtn.dataset.index), 1);
+            this.hiddenLayerActivations.splice(parseInt(removeBtn.dataset.index), 1);
+            this.renderLayerEditor();
+        });
+        
+        this.renderLayerEditor();
+    }
+    
+    renderLayerEditor() {
+        const editor = document.getElementById('layer-editor');
+        const canRemove = this.hiddenLayerSizes.length > 1;
+        const activationOptions = (selected) => ['', ...Object.keys(Activations)]
+            .map(key => `<option value="${key}" ${key === selected ? 'selected' : ''}>${key ? Activations[key].name : 'Default'}</option>`)
+            .join('');
+        
+        editor.innerHTML = this.hiddenLayerSizes.map((size, index) => `
+            <div class="layer-row">
+                <div class="control-label">
+                    <span>Hidden ${index + 1}</span>
+                    <span class="layer-row-actions">
+                        <select class="select-input layer-activation" data-index="${index}" title="Activation for this layer">
+                            ${activationOptions(this.hiddenLayerActivations[index])}
+                        </select>
+                        <span class="value-display">${size}</span>
+                        <button class="layer-remove" data-index="${index}" title="Remove layer" ${canRemove ? '' : 'disabled'}>×</button>
+                    </span>
+                </div>
+                <input type="range" class="slider layer-size-slider" data-index="${index}" min="1" max="${this.maxNeuronsPerLayer}" value="${size}">
+            </div>
+        `).join('');
+        
+        document.getElementById('hidden-layers-display').textContent = this.hiddenLayerSizes.length;
+        document.getElementById('add-layer').disabled = this.hiddenLayerSizes.length >= this.maxHiddenLayers;
+        this.updateLayerSummary();
+    }
+    
+    updateLayerSummary() {
+        const inputSize = parseInt(document.getElementById('input-count').value);
+        const outputSize = this.getSelectedOutputActivation() === 'linear'
+            ? 1
+            : parseInt(document.getElementById('output-count').value);
+        const sizes = [inputSize, ...this.hiddenLayerSizes, outputSize];
+        document.getElementById('layer-summary').textContent = sizes.join(' → ');
+    }
+    
     setupPlayback() {
         // Play/Pause button
         document.getElementById('play-pause').addEventListener('click', () => {
@@ -296,6 +1361,15 @@ class App {
         document.getElementById('reset').addEventListener('click', () => {
             this.reset();
         });
+        
+        // Timeline phase jumps
+        document.getElementById('timeline-prev-phase').addEventListener('click', () => {
+            this.jumpToPhase(-1);
+        });
+        
+        document.getElementById('timeline-next-phase').addEventListener('click', () => {
+            this.jumpToPhase(1);
+        });
     }
     
     setupTabs() {
@@ -309,18 +1383,61 @@ class App {
         });
     }
     
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        document.getElementById('seed-input').value = this.seed;
+        document.getElementById('seed-display').textContent = this.seed;
+    }
+    
+    // Comma-separated names from the class names field, or the restored names while the field still shows them
+    getClassNames() {
+        const text = document.getElementById('class-names').value;
+        if (text === this.restoredClassNames.join(', ')) {
+            return this.restoredClassNames.slice();
+        }
+        return text
+            .split(',')
+            .map(name => name.trim())
+            .filter(name => name.length > 0);
+    }
+    
     buildNetwork() {
+        this.setSeed(parseInt(document.getElementById('seed-input').value) || 0);
+        this.rng = new SeededRandom(this.seed);
+        
         const config = {
             inputSize: parseInt(document.getElementById('input-count').value),
-            hiddenLayers: parseInt(document.getElementById('hidden-layers').value),
-            neuronsPerLayer: parseInt(document.getElementById('neurons-per-layer').value),
+            layers: this.hiddenLayerSizes.slice(),
+            task: document.getElementById('task').value,
+            outputSize: this.getDatasetOutputSize(Datasets[this.datasetKey]) ||
+                parseInt(document.getElementById('output-count').value),
+            classNames: Datasets[this.datasetKey].classNames || this.getClassNames(),
             activationFunction: document.getElementById('activation-function').value,
-            learningRate: parseFloat(document.getElementById('learning-rate').value)
+            layerActivations: this.hiddenLayerActivations.slice(),
+            lossFunction: document.getElementById('loss-function').value,
+            learningRate: parseFloat(document.getElementById('learning-rate').value),
+            batchSize: this.getBatchSize(),
+            optimizer: document.getElementById('optimizer').value,
+            rng: this.rng
         };
         
         this.network = new NeuralNetwork(config);
+        // A selected feature map belongs to the old architecture
+        this.decisionBoundary.selectedNeuron = null;
+        this.visualizer.selectedNeuron = null;
         this.visualizer.setNetwork(this.network);
         
+        // Chart history belongs to this network; it survives repeated Run Training clicks
+        this.trainingChart.clear();
+        
+        // Restart fixed-size datasets from the first row with the fresh seed
+        const dataset = Datasets[this.datasetKey];
+        if (dataset.startEpoch) {
+            dataset.startEpoch(this.rng);
+        }
+        this.prepareDataSplit();
+        this.preparePreviewSamples();
+        
         // Generate initial sample
         this.generateNewSample();
         
@@ -330,49 +1447,220 @@ class App {
         this.updateInfoPanel();
     }
     
-    generateNewSample() {
+    setRunMode(mode) {
+        this.runMode = mode === 'predict' ? 'predict' : 'train';
+        document.getElementById('record-steps').disabled = this.runMode !== 'predict';
+        document.getElementById('run-mode-hint').textContent = this.runMode === 'predict'
+            ? 'Forward pass only: weights, biases and optimizer state stay unchanged'
+            : 'Each sample runs a training step and updates the weights';
+        if (this.network && !this.isEpochTraining) {
+            this.reset();
+            this.showForwardPass();
+        }
+    }
+    
+    // Draw the next sample and train on it (or predict it in predict mode); with train = false only its forward prediction is shown
+    generateNewSample(train = true) {
         if (!this.network) return;
         
-        // Generate random input values between 0 and 1
-        this.currentInput = [];
-        for (let i = 0; i < this.network.inputSize; i++) {
-            this.currentInput.push(Math.random());
+        this.loadNextSample();
+        
+        // Run it in the current mode
+        if (train) {
+            this.runSample();
+            return;
         }
         
-        // Generate target (simple logic: 1 if average > 0.5, else 0)
-        const avg = this.currentInput.reduce((a, b) => a + b, 0) / this.currentInput.length;
-        this.currentTarget = avg > 0.5 ? 1 : 0;
+        this.showForwardPass();
+    }
+    
+    // Draw the next example from the active dataset (or its training split) and show it, without running it
+    loadNextSample() {
+        const sample = this.drawSample();
+        this.currentInput = sample.input;
+        this.currentTarget = sample.target;
         
         // Update display
-        document.getElementById('current-input').textContent = 
-            `[${this.currentInput.map(v => v.toFixed(3)).join(', ')}]`;
-        document.getElementById('current-target').textContent = this.currentTarget;
+        this.renderSampleFields();
         document.getElementById('current-output').textContent = '--';
         document.getElementById('current-loss').textContent = '--';
+        document.getElementById('current-residual').textContent = '--';
+        this.reset();
+    }
+    
+    // Forward-only pass on the current sample, shown without a trace; Play or Step then runs the training pass
+    showForwardPass(updateBoundary = true) {
+        this.trainingResult = null;
+        this.stepTimeline.setSteps([]);
+        const { output } = this.network.predict(this.currentInput);
+        this.reset();
+        this.updateResultDisplay(output, this.network.computeLoss(output, this.currentTarget));
+        this.updateInfoPanel();
+        if (updateBoundary) {
+            this.refreshDecisionBoundary();
+        }
+    }
+    
+    // Manual edits apply to the live network; the old trace no longer matches it, so only the forward pass is redrawn
+    canEditParameters() {
+        if (this.isEpochTraining) {
+            this.updateStepDescription('Stop epoch training before editing weights');
+            return false;
+        }
+        return Boolean(this.network);
+    }
+    
+    // finished is false while an edge is still being dragged; the decision boundary waits for the drop
+    editWeight(layer, to, from, weight, finished = true) {
+        if (!this.canEditParameters()) return;
+        this.network.setWeight(layer, to, from, weight);
+        this.showForwardPass(finished);
+        this.updateStepDescription(`Edited w[${layer}][${to}][${from}] = ${weight.toFixed(4)}: forward pass refreshed, Play to train`);
+    }
+    
+    editBias(layer, neuron, bias) {
+        if (!this.canEditParameters()) return;
+        this.network.setBias(layer, neuron, bias);
+        this.showForwardPass();
+        this.updateStepDescription(`Edited b[${layer}][${neuron}] = ${bias.toFixed(4)}: forward pass refreshed, Play to train`);
+    }
+    
+    // One number field per input neuron; the target is a number for regression and a class picker otherwise
+    renderSampleFields() {
+        const inputContainer = document.getElementById('current-input');
+        inputContainer.innerHTML = this.currentInput.map((value, i) => `
+            <input type="number" class="text-input sample-field" data-index="${i}" step="0.1"
+                   value="${value.toFixed(3)}" title="Input x${i + 1}" aria-label="Input x${i + 1}">
+        `).join('');
+        
+        const targetContainer = document.getElementById('current-target');
+        if (this.network.isRegression()) {
+            targetContainer.innerHTML = `
+                <input type="number" class="text-input sample-field" id="target-field" step="0.1"
+                       value="${this.currentTarget.toFixed(4)}" title="Target" aria-label="Target">
+            `;
+            return;
+        }
+        const classNames = this.network.isMultiClass() ? this.network.classNames : ['0', '1'];
+        targetContainer.innerHTML = `
+            <select class="select-input sample-field" id="target-field" title="Target class" aria-label="Target class">
+                ${classNames.map((name, c) => `<option value="${c}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+        `;
+        document.getElementById('target-field').value = String(this.currentTarget);
+    }
+    
+    // Apply an edited input or target field to the current sample
+    editSampleField(field) {
+        const isTarget = field.id === 'target-field';
+        const value = isTarget && !this.network.isRegression()
+            ? parseInt(field.value)
+            : parseFloat(field.value);
+        if (this.isEpochTraining || !Number.isFinite(value)) {
+            if (this.isEpochTraining) {
+                this.updateStepDescription('Stop epoch training before editing the sample');
+            }
+            this.renderSampleFields();
+            return;
+        }
         
-        // Reset and train
+        if (isTarget) {
+            this.currentTarget = value;
+        } else {
+            // Copy first: fixed datasets hand out their own rows
+            this.currentInput = this.currentInput.slice();
+            this.currentInput[parseInt(field.dataset.index)] = value;
+        }
         this.reset();
-        this.runTraining();
+        this.runSample();
+    }
+    
+    updateResultDisplay(output, loss) {
+        document.getElementById('current-output').textContent = this.formatOutput(output);
+        document.getElementById('current-loss').textContent = loss.toFixed(6);
+        if (this.network.isRegression()) {
+            document.getElementById('current-residual').textContent = (this.currentTarget - output).toFixed(4);
+        }
+    }
+    
+    // Binary: probability; multi-class: predicted class and its probability
+    formatOutput(output) {
+        if (Array.isArray(output)) {
+            const predicted = this.network.getPredictedClass(output);
+            return `${this.network.classNames[predicted]} (${output[predicted].toFixed(4)})`;
+        }
+        return output.toFixed(4);
+    }
+    
+    // Train on the current sample, or only predict it in predict mode
+    runSample() {
+        if (this.runMode === 'predict') {
+            this.runPrediction();
+        } else {
+            this.runTraining();
+        }
+    }
+    
+    // Forward-only pass on the current sample; weights, biases and optimizer state are left as they are.
+    // Without recorded steps the prediction is shown at once and there is nothing to play
+    runPrediction(recordSteps = document.getElementById('record-steps').checked) {
+        if (!this.network) return;
+        
+        if (!recordSteps) {
+            this.showForwardPass(!this.isEpochTraining);
+            this.updateStepDescription('Prediction: forward pass only, weights unchanged');
+            return;
+        }
+        
+        const { output, steps } = this.network.predict(this.currentInput, true);
+        const loss = this.network.computeLoss(output, this.currentTarget);
+        this.trainingResult = { output, loss, steps };
+        this.currentStepIndex = -1;
+        this.stepTimeline.setSteps(steps);
+        this.updateTimelinePosition();
+        
+        this.updateResultDisplay(output, loss);
+        this.visualizer.render(this.network);
+        this.updateInfoPanel();
+        if (!this.isEpochTraining) {
+            this.refreshDecisionBoundary();
+        }
+        
+        this.updatePhaseIndicator('Ready');
     }
     
     runTraining() {
         if (!this.network) return;
         
         this.trainingResult = this.network.train(this.currentInput, this.currentTarget);
+        // Reset step index before anything reads the new trace
+        this.currentStepIndex = -1;
+        this.stepTimeline.setSteps(this.trainingResult.steps);
+        this.updateTimelinePosition();
         
         // Update display
-        document.getElementById('current-output').textContent = this.trainingResult.output.toFixed(4);
-        document.getElementById('current-loss').textContent = this.trainingResult.loss.toFixed(6);
+        this.updateResultDisplay(this.trainingResult.output, this.trainingResult.loss);
         
         // Update visualization
         this.visualizer.render(this.network);
         this.updateInfoPanel();
+        // Epoch training redraws the boundary itself, per sample or per epoch
+        if (!this.isEpochTraining) {
+            this.refreshDecisionBoundary();
+        }
         
-        // Reset step index
-        this.currentStepIndex = -1;
         this.updatePhaseIndicator('Ready');
     }
     
+    // Play and Step need a trace, so a prediction is recorded even with step recording off
+    runTraceForPlayback() {
+        if (this.runMode === 'predict') {
+            this.runPrediction(true);
+        } else {
+            this.runTraining();
+        }
+    }
+    
     togglePlayback() {
         if (this.isPlaying) {
             this.pausePlayback();
@@ -383,7 +1671,7 @@ class App {
     
     startPlayback() {
         if (!this.trainingResult || !this.trainingResult.steps.length) {
-            this.runTraining();
+            this.runTraceForPlayback();
         }
         
         this.isPlaying = true;
@@ -431,7 +1719,7 @@ class App {
     
     stepForward() {
         if (!this.trainingResult || !this.trainingResult.steps.length) {
-            this.runTraining();
+            this.runTraceForPlayback();
             return;
         }
         
@@ -451,7 +1739,7 @@ class App {
         
         this.currentStepIndex--;
         
-        // Re-render from the beginning up to this step
+        // executeStep restores the snapshot entering this step, so weights and values match its equations
         this.visualizer.clearHighlights();
         const step = this.trainingResult.steps[this.currentStepIndex];
         this.executeStep(step);
@@ -464,6 +1752,10 @@ class App {
         // Clear previous highlights
         this.visualizer.clearHighlights();
         
+        // Start from the state entering this step; the animation then shows the step's own change
+        this.restoreStepState(this.currentStepIndex - 1);
+        this.updateTimelinePosition();
+        
         // Execute based on step type
         switch (step.type) {
             case 'input':
@@ -486,10 +1778,19 @@ class App {
                 await this.animateBackwardDeltaStep(step);
                 break;
                 
+            case 'accumulate_gradient':
+            case 'batch_update':
+                await this.animateBatchStep(step);
+                break;
+                
             case 'weight_update':
                 await this.animateWeightUpdateStep(step);
                 break;
                 
+            case 'bias_update':
+                await this.animateBiasUpdateStep(step);
+                break;
+                
             case 'complete':
                 await this.animateCompleteStep(step);
                 break;
@@ -500,6 +1801,58 @@ class App {
         this.updateStepDescription(step.description);
     }
     
+    // Jump straight to a step without animating: its snapshot, highlights, description and info tabs
+    seekToStep(index) {
+        if (!this.trainingResult || index < 0 || index >= this.trainingResult.steps.length) return;
+        
+        this.pausePlayback();
+        this.currentStepIndex = index;
+        const step = this.trainingResult.steps[index];
+        
+        this.visualizer.clearHighlights();
+        this.restoreStepState(index);
+        if (step.highlightNeurons) {
+            this.visualizer.highlightNeurons(step.highlightNeurons);
+        }
+        if (step.highlightConnections) {
+            this.visualizer.highlightConnections(step.highlightConnections, step.phase === 'forward' ? 'forward' : 'backward');
+        }
+        
+        this.updatePhaseIndicator(this.getPhaseText(step));
+        this.updateStepDescription(step.description);
+        this.updateInfoPanel();
+        this.updateTimelinePosition();
+    }
+    
+    // Previous or next phase boundary on the timeline (direction -1 or 1)
+    jumpToPhase(direction) {
+        if (!this.trainingResult) return;
+        this.seekToStep(this.stepTimeline.getPhaseBoundary(this.currentStepIndex, direction));
+    }
+    
+    updateTimelinePosition() {
+        const total = this.trainingResult ? this.trainingResult.steps.length : 0;
+        this.stepTimeline.setPosition(this.currentStepIndex);
+        document.getElementById('timeline-position').textContent = total
+            ? `${this.currentStepIndex >= 0 ? this.currentStepIndex + 1 : '–'} / ${total}`
+            : '–';
+    }
+    
+    // Render the network as it stood after step `index` (the first step's state when index is -1)
+    restoreStepState(index) {
+        const steps = this.trainingResult.steps;
+        const step = steps[Math.max(0, index)];
+        if (step && step.snapshot) {
+            this.visualizer.render(this.network.viewAt(step.snapshot));
+        }
+    }
+    
+    // The network as shown: the current step's snapshot during playback, otherwise the live network
+    getDisplayedNetwork() {
+        const step = this.trainingResult && this.trainingResult.steps[this.currentStepIndex];
+        return step && step.snapshot ? this.network.viewAt(step.snapshot) : this.network;
+    }
+    
     async animateInputStep(step) {
         if (step.highlightNeurons) {
             this.visualizer.highlightNeurons(step.highlightNeurons);
@@ -581,7 +1934,11 @@ class App {
         this.visualizer.clearEquationLabels();
         if (step.inputWeights) {
             const equationContent = this.visualizer.generateForwardEquation(step);
-            this.visualizer.showComputationBox(step.layerIndex, step.neuronIndex, equationContent, 'forward');
+            this.visualizer.showComputationBox(step.layerIndex, step.neuronIndex, equationContent, 'forward', {
+                activation: step.activationFunction,
+                z: step.weightedSum,
+                highlight: 'activation'
+            });
         }
         
         // Highlight the neuron
@@ -607,17 +1964,18 @@ class App {
         // Clear previous labels
         this.visualizer.clearEquationLabels();
         
-        // Highlight output neuron
+        // Highlight output neurons
         const outputLayer = this.network.layers.length - 1;
-        this.visualizer.highlightNeurons([{ layer: outputLayer, neuron: 0 }]);
+        const outputNeurons = Array.from({ length: this.network.layers[outputLayer] }, (_, k) => ({ layer: outputLayer, neuron: k }));
+        this.visualizer.highlightNeurons(outputNeurons);
         
-        // Show loss computation box
+        // Show loss computation box next to the target neuron
+        const boxNeuron = Array.isArray(step.output) ? step.target : 0;
         const lossEquation = this.visualizer.generateLossEquation(step);
-        this.visualizer.showComputationBox(outputLayer, 0, lossEquation, 'backward');
+        this.visualizer.showComputationBox(outputLayer, boxNeuron, lossEquation, 'backward');
         
         // Update loss display
-        document.getElementById('current-output').textContent = step.output.toFixed(4);
-        document.getElementById('current-loss').textContent = step.loss.toFixed(6);
+        this.updateResultDisplay(step.output, step.loss);
         
         await this.delay(800 / this.animationSpeed);
     }
@@ -639,11 +1997,26 @@ class App {
         const deltaEquation = this.visualizer.generateDeltaEquation(step, isOutputLayer);
         
         const neuronIdx = step.neuronIndex !== undefined ? step.neuronIndex : 0;
-        this.visualizer.showComputationBox(step.layerIndex, neuronIdx, deltaEquation, 'backward');
+        this.visualizer.showComputationBox(step.layerIndex, neuronIdx, deltaEquation, 'backward', {
+            activation: isOutputLayer ? step.outputActivation : step.activationFunction,
+            z: step.z,
+            highlight: 'derivative'
+        });
         
         await this.delay(500 / this.animationSpeed);
     }
     
+    async animateBatchStep(step) {
+        this.visualizer.clearEquationLabels();
+        this.visualizer.highlightConnections(step.highlightConnections, 'backward');
+        
+        // The batch box sits beside the first output neuron, like the loss box
+        const outputLayer = this.network.layers.length - 1;
+        this.visualizer.showComputationBox(outputLayer, 0, this.visualizer.generateBatchEquation(step), 'backward');
+        
+        await this.delay(600 / this.animationSpeed);
+    }
+    
     async animateWeightUpdateStep(step) {
         // Clear previous labels
         this.visualizer.clearEquationLabels();
@@ -654,11 +2027,13 @@ class App {
             
             const conn = step.highlightConnections[0];
             if (conn) {
-                // Show weight update equation on the connection
+                // Show the optimizer's update rule on the connection (g is the batch mean for mini-batches)
+                const optimizer = Optimizers[step.optimizer];
+                const gradientLine = step.batchCount > 1 ? `g = (1/${step.batchCount})Σ∂L/∂w` : 'g = ∂L/∂w';
                 const equationHtml = `
-                    <div class="eq-title">Weight Update</div>
-                    <div class="eq-formula">w_new = w - η×∂L/∂w</div>
-                    <div class="eq-values">${step.oldWeight.toFixed(3)} - ${this.network.learningRate}×${step.gradient.toFixed(4)}</div>
+                    <div class="eq-title">${optimizer.name} Update</div>
+                    ${[gradientLine, ...optimizer.formula].map(line => `<div class="eq-formula">${line}</div>`).join('')}
+                    <div class="eq-values">${optimizer.describe(step)}</div>
                     <div class="eq-result">= ${step.newWeight.toFixed(4)}</div>
                 `;
                 
@@ -695,6 +2070,20 @@ class App {
         await this.delay(200 / this.animationSpeed);
     }
     
+    async animateBiasUpdateStep(step) {
+        this.visualizer.clearEquationLabels();
+        this.visualizer.highlightNeurons(step.highlightNeurons);
+        this.visualizer.showComputationBox(
+            step.layerIndex + 1,
+            step.neuronIndex,
+            this.visualizer.generateBiasUpdateEquation(step),
+            'backward'
+        );
+        this.visualizer.updateBiasValue(step.layerIndex, step.neuronIndex, step.newBias, step.biasUpdate);
+        
+        await this.delay(400 / this.animationSpeed);
+    }
+    
     async animateCompleteStep(step) {
         // Clear all visual elements
         this.visualizer.clearHighlights();
@@ -702,7 +2091,7 @@ class App {
         this.visualizer.hideComputationBox();
         
         // Re-render with final weights
-        this.visualizer.render(this.network);
+        this.visualizer.render(this.getDisplayedNetwork());
         
         await this.delay(300 / this.animationSpeed);
     }
@@ -710,6 +2099,7 @@ class App {
     reset() {
         this.pausePlayback();
         this.currentStepIndex = -1;
+        this.updateTimelinePosition();
         this.visualizer.clearHighlights();
         this.visualizer.clearEquationLabels();
         this.visualizer.hideComputationBox();
@@ -763,7 +2153,10 @@ class App {
             case 'forward_layer_complete': return `Forward Pass - Layer ${step.layerIndex} Complete`;
             case 'loss': return 'Loss Calculation';
             case 'backward_delta': return `Backward Pass - Computing δ`;
+            case 'accumulate_gradient': return `Backward Pass - Accumulating Gradient (${step.batchCount}/${step.batchSize})`;
+            case 'batch_update': return 'Backward Pass - Applying Batch Update';
             case 'weight_update': return 'Backward Pass - Updating Weights';
+            case 'bias_update': return 'Backward Pass - Updating Biases';
             case 'complete': return 'Training Step Complete';
             default: return step.phase || 'Processing';
         }
@@ -774,13 +2167,14 @@ class App {
         
         const tab = activeTab || document.querySelector('.info-tab.active')?.dataset.tab || 'weights';
         const infoContent = document.getElementById('info-content');
-        const data = this.network.getNetworkData();
+        const network = this.getDisplayedNetwork();
+        const data = network.getNetworkData();
         
         let html = '';
         
         switch (tab) {
             case 'weights':
-                html = this.renderWeightsInfo(data);
+                html = this.renderWeightsInfo(data, network);
                 break;
             case 'gradients':
                 html = this.renderGradientsInfo(data);
@@ -798,14 +2192,25 @@ class App {
         }
     }
     
-    renderWeightsInfo(data) {
+    getLayerNames(layers) {
+        return ['Input', ...Array(layers.length - 2).fill(0).map((_, i) => `Hidden ${i + 1}`), 'Output'];
+    }
+    
+    // Full-width heading naming a weight matrix and its shape, e.g. "Input → Hidden 1 (4×3)"
+    renderLayerHeader(data, l) {
+        const names = this.getLayerNames(data.layers);
+        return `<div class="weight-grid-header">${names[l]} → ${names[l + 1]} (${data.layers[l + 1]}×${data.layers[l]})</div>`;
+    }
+    
+    renderWeightsInfo(data, network) {
         let html = '<div class="weight-grid">';
         
         for (let l = 0; l < data.weights.length; l++) {
+            html += this.renderLayerHeader(data, l);
             for (let j = 0; j < data.weights[l].length; j++) {
                 for (let i = 0; i < data.weights[l][j].length; i++) {
                     const weight = data.weights[l][j][i];
-                    const change = this.network.getWeightChange(l, j, i);
+                    const change = network.getWeightChange(l, j, i);
                     const changeClass = change > 0 ? 'increase' : change < 0 ? 'decrease' : '';
                     const valueClass = weight >= 0 ? 'positive' : 'negative';
                     
@@ -818,6 +2223,19 @@ class App {
                     `;
                 }
             }
+            
+            // Biases of the layer this matrix feeds
+            data.biases[l].forEach((bias, j) => {
+                const change = network.getBiasChange(l, j);
+                const changeClass = change > 0 ? 'increase' : change < 0 ? 'decrease' : '';
+                html += `
+                    <div class="weight-item bias-item" data-bias-layer="${l}" data-neuron="${j}" data-bias="${bias}">
+                        <span class="weight-label">b[${l}][${j}]</span>
+                        <span class="weight-value ${bias >= 0 ? 'positive' : 'negative'}">${bias.toFixed(4)}</span>
+                        ${change !== 0 ? `<span class="weight-change ${changeClass}">${change >= 0 ? '+' : ''}${change.toFixed(6)}</span>` : ''}
+                    </div>
+                `;
+            });
         }
         
         html += '</div>';
@@ -848,6 +2266,48 @@ class App {
                 this.highlightWeightConnection(layer, from, to);
             });
         });
+        
+        // Double-click any weight or bias to type a new value
+        document.querySelectorAll('#info-content .weight-item').forEach(item => {
+            item.addEventListener('dblclick', () => this.startParameterEdit(item));
+        });
+    }
+    
+    // Swap the item's value for a number field; Enter or leaving the field applies it, Escape cancels
+    startParameterEdit(item) {
+        const valueEl = item.querySelector('.weight-value');
+        if (!valueEl || !this.canEditParameters()) return;
+        
+        const isBias = item.dataset.biasLayer !== undefined;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.className = 'text-input weight-edit';
+        input.value = parseFloat(isBias ? item.dataset.bias : item.dataset.weight).toFixed(4);
+        valueEl.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        let done = false;
+        const finish = (apply) => {
+            if (done) return;
+            done = true;
+            const value = parseFloat(input.value);
+            if (!apply || !Number.isFinite(value)) {
+                this.updateInfoPanel();
+            } else if (isBias) {
+                this.editBias(parseInt(item.dataset.biasLayer), parseInt(item.dataset.neuron), value);
+            } else {
+                this.editWeight(parseInt(item.dataset.layer), parseInt(item.dataset.to), parseInt(item.dataset.from), value);
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
     }
     
     highlightWeightConnection(layer, fromNeuron, toNeuron) {
@@ -875,22 +2335,42 @@ class App {
             return '<div class="info-placeholder">Run a training step to see gradients</div>';
         }
         
+        // Mini-batches also show the running total this sample was added to
+        const showBatch = data.batchSize > 1;
         let html = '<div class="weight-grid">';
+        if (showBatch) {
+            html += `<div class="weight-grid-header">Batch ${data.batchCount} / ${data.batchSize} · this sample's ∂L/∂w and running Σ∂L/∂w</div>`;
+        }
         
         for (let l = 0; l < data.weightGradients.length; l++) {
+            html += this.renderLayerHeader(data, l);
             for (let j = 0; j < data.weightGradients[l].length; j++) {
                 for (let i = 0; i < data.weightGradients[l][j].length; i++) {
                     const gradient = data.weightGradients[l][j][i];
                     const valueClass = gradient >= 0 ? 'positive' : 'negative';
+                    const total = showBatch ? data.batchWeightGradients[l][j][i] : 0;
                     
                     html += `
                         <div class="weight-item">
                             <span class="weight-label">∂L/∂w[${l}][${j}][${i}]</span>
                             <span class="weight-value ${valueClass}">${gradient.toFixed(6)}</span>
+                            ${showBatch ? `<span class="batch-total">Σ ${total.toFixed(6)}</span>` : ''}
                         </div>
                     `;
                 }
             }
+            
+            // ∂L/∂b = δ for each neuron this matrix feeds
+            (data.biasGradients[l] || []).forEach((gradient, j) => {
+                const total = showBatch ? data.batchBiasGradients[l][j] : 0;
+                html += `
+                    <div class="weight-item bias-item">
+                        <span class="weight-label">∂L/∂b[${l}][${j}]</span>
+                        <span class="weight-value ${gradient >= 0 ? 'positive' : 'negative'}">${gradient.toFixed(6)}</span>
+                        ${showBatch ? `<span class="batch-total">Σ ${total.toFixed(6)}</span>` : ''}
+                    </div>
+                `;
+            });
         }
         
         html += '</div>';
@@ -904,9 +2384,10 @@ class App {
         
         let html = '<div class="weight-grid">';
         
-        const layerNames = ['Input', ...Array(data.layers.length - 2).fill(0).map((_, i) => `Hidden ${i + 1}`), 'Output'];
+        const layerNames = this.getLayerNames(data.layers);
         
         for (let l = 0; l < data.activations.length; l++) {
+            html += `<div class="weight-grid-header">${layerNames[l]} (${data.activations[l].length})</div>`;
             for (let n = 0; n < data.activations[l].length; n++) {
                 const activation = data.activations[l][n];
                 const valueClass = activation >= 0.5 ? 'positive' : 'negative';
@@ -0,0 +1,104 @@
+/**
+ * NN-Model Visualizer - Breakpoints
+ * Conditions checked after every epoch-training sample; a hit pauses training and replays that sample step by step
+ *
+ * Each entry: params [{ key, label, value }] with default values, describe(params) → list label,
+ * check(context, params, memory) → reason text on a hit, otherwise null. memory is the breakpoint's own scratch state.
+ * context: { network, result, input, target, epoch, sample } with 1-based epoch and sample numbers.
+ */
+
+const BreakpointConditions = {
+    loss_above: {
+        name: 'Loss > x',
+        params: [{ key: 'threshold', label: 'x', value: 1 }],
+        describe: ({ threshold }) => `Loss > ${threshold}`,
+        check: ({ result }, { threshold }) =>
+            (result.loss > threshold ? `loss ${result.loss.toFixed(4)} > ${threshold}` : null)
+    },
+
+    epoch_sample: {
+        name: 'Epoch N, sample M',
+        params: [{ key: 'epoch', label: 'N', value: 1 }, { key: 'sample', label: 'M', value: 1 }],
+        describe: ({ epoch, sample }) => `Epoch ${epoch}, sample ${sample}`,
+        check: (context, { epoch, sample }) =>
+            (context.epoch === epoch && context.sample === sample ? `reached epoch ${epoch}, sample ${sample}` : null)
+    },
+
+    gradient_above: {
+        name: 'Any |gradient| > x',
+        params: [{ key: 'threshold', label: 'x', value: 0.5 }],
+        describe: ({ threshold }) => `Any |∂L/∂w| > ${threshold}`,
+        check: ({ network }, { threshold }) => {
+            let largest = { value: 0, label: '' };
+            network.weightGradients.forEach((layer, l) => layer.forEach((neuron, j) => neuron.forEach((g, i) => {
+                if (Math.abs(g) > largest.value) {
+                    largest = { value: Math.abs(g), label: `w[${l}][${j}][${i}]` };
+                }
+            })));
+            return largest.value > threshold
+                ? `|∂L/∂${largest.label}| = ${largest.value.toFixed(4)} > ${threshold}`
+                : null;
+        }
+    },
+
+    dead_relu: {
+        name: 'A ReLU neuron goes dead',
+        params: [],
+        // Dead: outputs 0 for every one of the recent inputs, so no gradient reaches its weights
+        windowSize: 20,
+        minInputs: 5,
+        describe: () => 'A ReLU neuron goes dead',
+        check: ({ network, input }, params, memory) => {
+            const { windowSize, minInputs } = BreakpointConditions.dead_relu;
+            memory.inputs = [...(memory.inputs || []), input].slice(-windowSize);
+            memory.dead = memory.dead || new Set();
+            if (memory.inputs.length < minInputs) return null;
+
+            const passes = memory.inputs.map(x => network.evaluateLayers(x));
+            const newlyDead = [];
+            for (let l = 0; l < network.weights.length - 1; l++) {
+                if (network.getLayerActivationName(l) !== 'relu') continue;
+                for (let j = 0; j < network.weights[l].length; j++) {
+                    const id = `${l + 1}:${j}`;
+                    const dead = passes.every(layers => layers[l + 1][j] === 0);
+                    if (dead && !memory.dead.has(id)) {
+                        newlyDead.push(`Hidden ${l + 1} neuron ${j + 1}`);
+                    }
+                    if (dead) {
+                        memory.dead.add(id);
+                    } else {
+                        memory.dead.delete(id);
+                    }
+                }
+            }
+            return newlyDead.length
+                ? `${newlyDead.join(', ')} output 0 for the last ${memory.inputs.length} inputs`
+                : null;
+        }
+    },
+
+    output_cross: {
+        name: 'Output crosses 0.5',
+        params: [],
+        // Compares this sample's prediction before and after its own update (multi-class: the predicted class changes)
+        describe: () => 'Output crosses 0.5',
+        check: ({ network, result, input }) => {
+            if (network.isRegression()) return null;
+
+            const after = network.evaluate(input);
+            if (Array.isArray(after)) {
+                const before = network.getPredictedClass(result.output);
+                const now = network.getPredictedClass(after);
+                return before !== now
+                    ? `prediction flipped ${network.classNames[before]} → ${network.classNames[now]}`
+                    : null;
+            }
+            return (result.output - 0.5) * (after - 0.5) < 0
+                ? `output ${result.output.toFixed(4)} → ${after.toFixed(4)}`
+                : null;
+        }
+    }
+};
+
+// Export for use
+window.BreakpointConditions = BreakpointConditions;
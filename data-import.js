@@ -0,0 +1,247 @@
+/**
+ * NN-Model Visualizer - Dataset Import
+ * Parses CSV/JSON tables, normalizes the chosen feature columns and serves rows as training samples
+ */
+
+class ImportedDataset {
+    constructor(table, options) {
+        this.fileName = options.fileName || 'data';
+        this.columns = table.columns;
+        this.featureColumns = options.features.slice();
+        this.targetColumn = options.target;
+        this.normalization = options.normalization || 'none';
+        this.shuffle = Boolean(options.shuffle);
+
+        const featureIdx = this.featureColumns.map(name => this.columns.indexOf(name));
+        const targetIdx = this.columns.indexOf(this.targetColumn);
+
+        // Keep only rows whose features are all numeric and whose target is present
+        const usable = table.rows.filter(row =>
+            featureIdx.every(i => ImportedDataset.isNumeric(row[i])) &&
+            row[targetIdx] !== undefined && String(row[targetIdx]).trim() !== ''
+        );
+        this.skippedRows = table.rows.length - usable.length;
+
+        if (usable.length === 0) {
+            throw new Error('No usable rows: every row has a missing or non-numeric feature value');
+        }
+
+        const targetValues = usable.map(row => row[targetIdx]);
+        this.task = options.task || ImportedDataset.inferTask(targetValues);
+
+        // Classification targets become class indices; class names keep the original labels
+        if (this.task === 'classification') {
+            this.classNames = ImportedDataset.distinctSorted(targetValues).map(String);
+        } else {
+            if (!targetValues.every(v => ImportedDataset.isNumeric(v))) {
+                throw new Error(`Target column "${this.targetColumn}" has non-numeric values and can't be used for regression`);
+            }
+            this.classNames = [];
+        }
+
+        const rawFeatures = usable.map(row => featureIdx.map(i => Number(row[i])));
+        this.stats = ImportedDataset.computeStats(rawFeatures);
+
+        this.samples = usable.map((row, r) => ({
+            input: this.normalize(rawFeatures[r]),
+            target: this.task === 'classification'
+                ? this.classNames.indexOf(String(row[targetIdx]))
+                : Number(row[targetIdx])
+        }));
+
+        this.order = this.samples.map((_, i) => i);
+        this.cursor = 0;
+    }
+
+    get size() {
+        return this.samples.length;
+    }
+
+    // Parse CSV or JSON text into { columns, rows }
+    static parse(text, fileName = '') {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('The file is empty');
+        }
+
+        const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+        return isJson ? ImportedDataset.parseJSON(trimmed) : ImportedDataset.parseCSV(trimmed);
+    }
+
+    // Accepts an array of objects, or an array of arrays whose first row is the header
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+
+        if (data && !Array.isArray(data) && Array.isArray(data.data)) {
+            data = data.data;
+        }
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('JSON must be a non-empty array of rows');
+        }
+
+        if (Array.isArray(data[0])) {
+            const [header, ...rows] = data;
+            return { columns: header.map(String), rows };
+        }
+
+        if (typeof data[0] !== 'object' || data[0] === null) {
+            throw new Error('JSON rows must be objects or arrays');
+        }
+
+        const columns = [];
+        data.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+        return { columns, rows: data.map(row => columns.map(col => row[col])) };
+    }
+
+    // RFC 4180-style CSV with a header row; the delimiter is sniffed from the header
+    static parseCSV(text) {
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t'].reduce((best, d) =>
+            headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+
+        const records = [];
+        let field = '';
+        let record = [];
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        record.push(field);
+        records.push(record);
+
+        const [header, ...rows] = records.filter(r => r.some(value => value.trim() !== ''));
+        if (!header || rows.length === 0) {
+            throw new Error('CSV needs a header row and at least one data row');
+        }
+
+        return { columns: header.map(name => name.trim()), rows: rows.map(r => r.map(v => v.trim())) };
+    }
+
+    static isNumeric(value) {
+        if (typeof value === 'number') return Number.isFinite(value);
+        return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+    }
+
+    // Columns whose non-blank values are all numeric are candidate features (blank rows get skipped)
+    static numericColumns(table) {
+        return table.columns.filter((_, i) => {
+            const present = table.rows
+                .map(row => row[i])
+                .filter(v => v !== undefined && v !== null && String(v).trim() !== '');
+            return present.length > 0 && present.every(v => ImportedDataset.isNumeric(v));
+        });
+    }
+
+    // Text labels or a handful of integer values look like classes; anything else is regression
+    static inferTask(values) {
+        if (!values.every(v => ImportedDataset.isNumeric(v))) return 'classification';
+        const distinct = ImportedDataset.distinctSorted(values);
+        const allIntegers = distinct.every(v => Number.isInteger(Number(v)));
+        return allIntegers && distinct.length <= 10 ? 'classification' : 'regression';
+    }
+
+    static distinctSorted(values) {
+        const distinct = [...new Set(values.map(String))];
+        const numeric = distinct.every(v => ImportedDataset.isNumeric(v));
+        return distinct.sort((a, b) => (numeric ? Number(a) - Number(b) : a.localeCompare(b)));
+    }
+
+    static computeStats(rows) {
+        const n = rows.length;
+        return rows[0].map((_, j) => {
+            const column = rows.map(row => row[j]);
+            const mean = column.reduce((a, b) => a + b, 0) / n;
+            const variance = column.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n;
+            return {
+                min: Math.min(...column),
+                max: Math.max(...column),
+                mean,
+                std: Math.sqrt(variance)
+            };
+        });
+    }
+
+    normalize(values) {
+        return values.map((v, j) => {
+            const { min, max, mean, std } = this.stats[j];
+            switch (this.normalization) {
+                case 'minmax':
+                    return max > min ? (v - min) / (max - min) : 0.5;
+                case 'zscore':
+                    return std > 0 ? (v - mean) / std : 0;
+                default:
+                    return v;
+            }
+        });
+    }
+
+    // Rewind to the first row, reshuffling the visiting order if requested
+    startEpoch(rng) {
+        this.cursor = 0;
+        this.order = this.samples.map((_, i) => i);
+        if (this.shuffle) {
+            rng.shuffle(this.order);
+        }
+    }
+
+    // Next row in the current order; wraps around (and reshuffles) at the end
+    nextSample(rng) {
+        if (this.cursor >= this.order.length) {
+            this.startEpoch(rng);
+        }
+        const sample = this.samples[this.order[this.cursor++]];
+        return { input: sample.input.slice(), target: sample.target };
+    }
+
+    // Entry in the Datasets registry format so the dataset selector can use it
+    toDatasetEntry() {
+        return {
+            name: `Imported: ${this.fileName}`,
+            description: `${this.size} rows · ${this.featureColumns.length} features → ${this.targetColumn}`,
+            task: this.task,
+            inputSize: this.featureColumns.length,
+            size: this.size,
+            classNames: this.classNames,
+            samples: this.samples,
+            shuffle: this.shuffle,
+            generate: (rng) => this.nextSample(rng),
+            startEpoch: (rng) => this.startEpoch(rng)
+        };
+    }
+}
+
+// Export for use
+window.ImportedDataset = ImportedDataset;
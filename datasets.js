@@ -0,0 +1,167 @@
+/**
+ * NN-Model Visualizer - Dataset Library
+ * Named sample generators; every generator draws from the app's seeded RNG so runs are reproducible
+ *
+ * Each entry: generate(rng, inputSize, numClasses) → { input: number[], target }
+ * Classification targets are class indices (0/1 for binary), regression targets are real numbers.
+ * Inputs are kept roughly within [0, 1] to match the range of the original random samples.
+ */
+
+// Rotate a 2D offset around the centre of the unit square
+const pointAround = (radius, angle) => [0.5 + radius * Math.cos(angle), 0.5 + radius * Math.sin(angle)];
+
+const Datasets = {
+    threshold: {
+        name: 'Mean Threshold',
+        description: 'Target is 1 when the mean input is above 0.5 (linearly separable)',
+        task: 'classification',
+        inputSize: null,
+        generate: (rng, inputSize, numClasses) => {
+            const input = Array.from({ length: inputSize }, () => rng.next());
+            const avg = input.reduce((a, b) => a + b, 0) / inputSize;
+            // Multi-class: split the average into equal-width bands, one per class
+            const target = numClasses > 2
+                ? Math.min(numClasses - 1, Math.floor(avg * numClasses))
+                : (avg > 0.5 ? 1 : 0);
+            return { input, target };
+        }
+    },
+
+    xor: {
+        name: 'XOR',
+        description: 'Opposite quadrants share a class; needs a hidden layer',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng) => {
+            const input = [rng.next(), rng.next()];
+            return { input, target: (input[0] > 0.5) !== (input[1] > 0.5) ? 1 : 0 };
+        }
+    },
+
+    circles: {
+        name: 'Concentric Circles',
+        description: 'Inner disc (class 1) surrounded by a ring (class 0)',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng) => {
+            const target = rng.next() < 0.5 ? 1 : 0;
+            const radius = target === 1 ? rng.uniform(0, 0.18) : rng.uniform(0.3, 0.45);
+            const [x, y] = pointAround(radius, rng.uniform(0, 2 * Math.PI));
+            return { input: [x + rng.gaussian(0, 0.02), y + rng.gaussian(0, 0.02)], target };
+        }
+    },
+
+    moons: {
+        name: 'Two Moons',
+        description: 'Two interleaving half circles',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng) => {
+            const target = rng.next() < 0.5 ? 1 : 0;
+            const t = rng.uniform(0, Math.PI);
+            // Standard moons live in x ∈ [-1, 2], y ∈ [-0.5, 1]; scale into the unit square
+            const x = target === 0 ? Math.cos(t) : 1 - Math.cos(t);
+            const y = target === 0 ? Math.sin(t) : 0.5 - Math.sin(t);
+            return {
+                input: [(x + 1) / 3 + rng.gaussian(0, 0.03), (y + 0.5) / 3 + 0.25 + rng.gaussian(0, 0.03)],
+                target
+            };
+        }
+    },
+
+    spirals: {
+        name: 'Spirals',
+        description: 'One interleaved spiral arm per class',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng, inputSize, numClasses) => {
+            const target = rng.int(0, numClasses - 1);
+            const t = rng.next();
+            const angle = (target * 2 * Math.PI) / numClasses + t * 3 * Math.PI;
+            const [x, y] = pointAround(0.05 + 0.4 * t, angle);
+            return { input: [x + rng.gaussian(0, 0.015), y + rng.gaussian(0, 0.015)], target };
+        }
+    },
+
+    blobs: {
+        name: 'Gaussian Blobs',
+        description: 'One Gaussian cluster per class',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng, inputSize, numClasses) => {
+            const target = rng.int(0, numClasses - 1);
+            const [cx, cy] = pointAround(0.3, (target * 2 * Math.PI) / numClasses + Math.PI / 4);
+            return { input: [rng.gaussian(cx, 0.08), rng.gaussian(cy, 0.08)], target };
+        }
+    },
+
+    checkerboard: {
+        name: 'Checkerboard',
+        description: '4×4 grid of alternating classes',
+        task: 'classification',
+        inputSize: 2,
+        generate: (rng) => {
+            const input = [rng.next(), rng.next()];
+            const cells = Math.floor(input[0] * 4) + Math.floor(input[1] * 4);
+            return { input, target: cells % 2 };
+        }
+    },
+
+    parity: {
+        name: 'Parity',
+        description: 'Binary inputs; target is 1 when an odd number of inputs are 1',
+        task: 'classification',
+        inputSize: null,
+        generate: (rng, inputSize) => {
+            const input = Array.from({ length: inputSize }, () => (rng.next() < 0.5 ? 0 : 1));
+            return { input, target: input.reduce((a, b) => a + b, 0) % 2 };
+        }
+    },
+
+    sine: {
+        name: 'y = sin(2πx₁)',
+        description: 'Smooth periodic curve of the first input',
+        task: 'regression',
+        inputSize: null,
+        generate: (rng, inputSize) => {
+            const input = Array.from({ length: inputSize }, () => rng.next());
+            return { input, target: Math.sin(2 * Math.PI * input[0]) };
+        }
+    },
+
+    product: {
+        name: 'y = x₁·x₂·…',
+        description: 'Product of all inputs',
+        task: 'regression',
+        inputSize: null,
+        generate: (rng, inputSize) => {
+            const input = Array.from({ length: inputSize }, () => rng.next());
+            return { input, target: input.reduce((a, b) => a * b, 1) };
+        }
+    },
+
+    square: {
+        name: 'y = x₁²',
+        description: 'Parabola of the first input',
+        task: 'regression',
+        inputSize: null,
+        generate: (rng, inputSize) => {
+            const input = Array.from({ length: inputSize }, () => rng.next());
+            return { input, target: input[0] * input[0] };
+        }
+    },
+
+    linear: {
+        name: 'y = Σxᵢ - n/2',
+        description: 'Centred sum of the inputs',
+        task: 'regression',
+        inputSize: null,
+        generate: (rng, inputSize) => {
+            const input = Array.from({ length: inputSize }, () => rng.next());
+            return { input, target: input.reduce((a, b) => a + b, 0) - inputSize / 2 };
+        }
+    }
+};
+
+// Export for use
+window.Datasets = Datasets;
@@ -0,0 +1,232 @@
+/**
+ * NN-Model Visualizer - Decision Boundary
+ * Canvas heatmap of the network's output over the 2D input plane, with the dataset points overlaid,
+ * plus feature maps of single hidden neurons over the same plane
+ */
+
+class DecisionBoundary {
+    constructor(panelId, canvasId, neuronMapId) {
+        this.panel = document.getElementById(panelId);
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Feature map of the selected hidden neuron: { layer, neuron } in visualizer layer indices
+        this.neuronMap = document.getElementById(neuronMapId);
+        this.neuronCanvas = this.neuronMap.querySelector('canvas');
+        this.neuronCtx = this.neuronCanvas.getContext('2d');
+        this.neuronTitle = this.neuronMap.querySelector('.neuron-map-title');
+        this.selectedNeuron = null;
+
+        // Grid cells per axis (thumbnails inside neuron circles use a coarser grid)
+        this.resolution = 50;
+        this.thumbnailResolution = 16;
+        this.domain = this.getDomain([]);
+
+        // Class colors as RGB; binary uses the first two (class 0 magenta, class 1 cyan)
+        this.classColors = [
+            [255, 0, 110],
+            [0, 212, 255],
+            [16, 185, 129],
+            [249, 115, 22],
+            [139, 92, 246]
+        ];
+        this.background = [10, 15, 26];
+    }
+
+    // Only 2-input networks have a plane to draw; the panel hides otherwise
+    isSupported(network) {
+        return Boolean(network) && network.inputSize === 2;
+    }
+
+    // points: [{ input: [x1, x2], target, holdout? }]
+    render(network, points = []) {
+        const supported = this.isSupported(network);
+        this.panel.style.display = supported ? '' : 'none';
+        if (!supported || !this.ctx) return;
+
+        const domain = this.getDomain(points);
+        this.domain = domain;
+        const range = network.isRegression() ? this.getTargetRange(points) : null;
+        const { width, height } = this.canvas;
+        const cellW = width / this.resolution;
+        const cellH = height / this.resolution;
+
+        // Forward-only evaluation per cell: no steps recorded, stored activations untouched
+        for (let gx = 0; gx < this.resolution; gx++) {
+            for (let gy = 0; gy < this.resolution; gy++) {
+                const output = network.evaluate(this.getCellInput(gx, gy, this.resolution, domain));
+                this.ctx.fillStyle = this.toCss(this.getCellColor(network, output, range));
+                this.ctx.fillRect(gx * cellW, gy * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            }
+        }
+
+        this.drawPoints(network, points, domain, range);
+        this.renderNeuronMap(network);
+    }
+
+    // Centre of grid cell (gx, gy) in input space; gy counts down from the top, so x₂ increases upward
+    getCellInput(gx, gy, resolution, domain) {
+        return [
+            domain.xMin + ((gx + 0.5) / resolution) * (domain.xMax - domain.xMin),
+            domain.yMax - ((gy + 0.5) / resolution) * (domain.yMax - domain.yMin)
+        ];
+    }
+
+    // Toggle the feature map for a hidden neuron; selecting the shown neuron again closes it
+    selectNeuron(network, layer, neuron) {
+        const current = this.selectedNeuron;
+        const same = current && current.layer === layer && current.neuron === neuron;
+        this.selectedNeuron = same ? null : { layer, neuron };
+        this.renderNeuronMap(network);
+        return this.selectedNeuron;
+    }
+
+    renderNeuronMap(network) {
+        const selected = this.selectedNeuron;
+        const valid = selected && this.isSupported(network) &&
+            selected.layer > 0 && selected.layer < network.weights.length &&
+            selected.neuron < network.weights[selected.layer - 1].length;
+        this.neuronMap.style.display = valid ? '' : 'none';
+        if (!valid) {
+            this.selectedNeuron = null;
+            return;
+        }
+
+        const { layer, neuron } = selected;
+        const activation = Activations[network.getLayerActivationName(layer - 1)].name;
+        this.neuronTitle.textContent = `Hidden ${layer} · Neuron ${neuron + 1} (${activation})`;
+        if (!this.neuronCtx) return;
+
+        const maps = this.computeNeuronMaps(network, this.resolution, this.domain);
+        this.paintMap(this.neuronCtx, this.neuronCanvas.width, this.neuronCanvas.height, maps[layer - 1][neuron], this.resolution);
+    }
+
+    // Every hidden neuron's activation over the plane, one forward pass per cell: maps[l - 1][n][gy * resolution + gx]
+    computeNeuronMaps(network, resolution, domain) {
+        const hiddenSizes = network.weights.slice(0, -1).map(layerWeights => layerWeights.length);
+        const maps = hiddenSizes.map(size => Array.from({ length: size }, () => new Float64Array(resolution * resolution)));
+
+        for (let gx = 0; gx < resolution; gx++) {
+            for (let gy = 0; gy < resolution; gy++) {
+                const layers = network.evaluateLayers(this.getCellInput(gx, gy, resolution, domain));
+                maps.forEach((layerMaps, l) => {
+                    layerMaps.forEach((values, n) => {
+                        values[gy * resolution + gx] = layers[l + 1][n];
+                    });
+                });
+            }
+        }
+        return maps;
+    }
+
+    // Activation scaled to the map's own range: magenta lowest, cyan highest (flat maps stay mid-way)
+    paintMap(ctx, width, height, values, resolution) {
+        let min = Infinity;
+        let max = -Infinity;
+        values.forEach(v => {
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        });
+        const span = max - min;
+        const cellW = width / resolution;
+        const cellH = height / resolution;
+
+        values.forEach((v, i) => {
+            const t = span > 1e-9 ? (v - min) / span : 0.5;
+            ctx.fillStyle = this.toCss(this.mix(this.classColors[0], this.classColors[1], t).map(c => c * 0.8));
+            ctx.fillRect((i % resolution) * cellW, Math.floor(i / resolution) * cellH, Math.ceil(cellW), Math.ceil(cellH));
+        });
+    }
+
+    // Data URLs of every hidden neuron's feature map, thumbnails[l - 1][n], for embedding in the neuron circles
+    getNeuronThumbnails(network) {
+        if (!this.isSupported(network) || !this.ctx) return null;
+
+        const resolution = this.thumbnailResolution;
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution;
+        canvas.height = resolution;
+        const ctx = canvas.getContext('2d');
+
+        return this.computeNeuronMaps(network, resolution, this.domain).map(layerMaps =>
+            layerMaps.map(values => {
+                this.paintMap(ctx, resolution, resolution, values, resolution);
+                return canvas.toDataURL();
+            })
+        );
+    }
+
+    // Input bounds: the unit square, widened to fit any points outside it (e.g. z-scored imports)
+    getDomain(points) {
+        const xs = points.map(p => p.input[0]);
+        const ys = points.map(p => p.input[1]);
+        const xMin = Math.min(0, ...xs);
+        const xMax = Math.max(1, ...xs);
+        const yMin = Math.min(0, ...ys);
+        const yMax = Math.max(1, ...ys);
+        const padX = (xMax - xMin) * 0.05;
+        const padY = (yMax - yMin) * 0.05;
+        return { xMin: xMin - padX, xMax: xMax + padX, yMin: yMin - padY, yMax: yMax + padY };
+    }
+
+    getTargetRange(points) {
+        const targets = points.map(p => p.target);
+        const min = Math.min(-1, ...targets);
+        const max = Math.max(1, ...targets);
+        return { min, max };
+    }
+
+    // Binary: blend by probability; multi-class: winning class, fainter when unsure; regression: value ramp
+    getCellColor(network, output, range) {
+        if (Array.isArray(output)) {
+            const k = network.getPredictedClass(output);
+            const confidence = (output[k] - 1 / output.length) / (1 - 1 / output.length);
+            return this.mix(this.background, this.classColors[k % this.classColors.length], 0.25 + 0.55 * confidence);
+        }
+
+        if (range) {
+            const t = Math.max(0, Math.min(1, (output - range.min) / (range.max - range.min)));
+            return this.mix(this.classColors[0], this.classColors[1], t).map(c => c * 0.6);
+        }
+
+        const color = output >= 0.5 ? this.classColors[1] : this.classColors[0];
+        return this.mix(this.background, color, 0.2 + 0.6 * Math.abs(output - 0.5) * 2);
+    }
+
+    drawPoints(network, points, domain, range) {
+        const { width, height } = this.canvas;
+        points.forEach(point => {
+            const x = ((point.input[0] - domain.xMin) / (domain.xMax - domain.xMin)) * width;
+            const y = height - ((point.input[1] - domain.yMin) / (domain.yMax - domain.yMin)) * height;
+            const color = range
+                ? this.mix(this.classColors[0], this.classColors[1], (point.target - range.min) / (range.max - range.min))
+                : this.classColors[point.target % this.classColors.length];
+
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, 3.5, 0, 2 * Math.PI);
+            // Held-out points are drawn hollow
+            if (point.holdout) {
+                this.ctx.strokeStyle = this.toCss(color);
+                this.ctx.lineWidth = 1.5;
+                this.ctx.stroke();
+            } else {
+                this.ctx.fillStyle = this.toCss(color);
+                this.ctx.fill();
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    mix(from, to, t) {
+        return from.map((c, i) => c + (to[i] - c) * t);
+    }
+
+    toCss([r, g, b]) {
+        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+    }
+}
+
+// Export for use
+window.DecisionBoundary = DecisionBoundary;
@@ -0,0 +1,13 @@
+/**
+ * NN-Model Visualizer - HTML Helpers
+ * Escaping for user-supplied text (class names, imported column names) built into innerHTML
+ */
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// Export for use
+window.escapeHtml = escapeHtml;
@@ -0,0 +1,95 @@
+/**
+ * NN-Model Visualizer - Loss Functions
+ * Per-output loss terms, their derivatives and the formulas shown in the step trace
+ */
+
+const LOSS_EPSILON = 1e-12;
+
+const clampLossProbability = (a) => Math.min(Math.max(a, LOSS_EPSILON), 1 - LOSS_EPSILON);
+
+const LossFunctions = {
+    mse: {
+        name: 'Mean Squared Error',
+        shortName: 'MSE',
+        outputActivations: ['sigmoid', 'softmax', 'linear'],
+        formula: 'L = ½ × Σ(a - y)²',
+        derivativeFormula: '∂L/∂a = a - y',
+        loss: (a, y) => 0.5 * (a - y) * (a - y),
+        derivative: (a, y) => a - y,
+        describe: (a, y) => `½ × (${(a - y).toFixed(4)})²`
+    },
+
+    binary_cross_entropy: {
+        name: 'Binary Cross-Entropy',
+        shortName: 'BCE',
+        outputActivations: ['sigmoid'],
+        formula: 'L = -[y·log(a) + (1 - y)·log(1 - a)]',
+        derivativeFormula: '∂L/∂a = (a - y) / (a(1 - a))',
+        // σ'(z) = a(1 - a) cancels the denominator, leaving δ = a - y
+        cancelsWith: 'sigmoid',
+        loss: (a, y) => {
+            const p = clampLossProbability(a);
+            return -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+        },
+        derivative: (a, y) => {
+            const p = clampLossProbability(a);
+            return (p - y) / (p * (1 - p));
+        },
+        describe: (a, y) => `-[${y}·log(${a.toFixed(4)}) + ${1 - y}·log(${(1 - a).toFixed(4)})]`
+    },
+
+    cross_entropy: {
+        name: 'Categorical Cross-Entropy',
+        shortName: 'CE',
+        outputActivations: ['softmax'],
+        formula: 'L = -Σ yₖ log(pₖ)',
+        derivativeFormula: '∂L/∂pₖ = -yₖ / pₖ',
+        // The softmax Jacobian collapses the chain rule to δₖ = pₖ - yₖ
+        cancelsWith: 'softmax',
+        loss: (a, y) => (y > 0 ? -y * Math.log(clampLossProbability(a)) : 0),
+        derivative: (a, y) => -y / clampLossProbability(a),
+        describe: (a, y) => (y > 0 ? `-log(${a.toFixed(4)})` : '')
+    },
+
+    huber: {
+        name: 'Huber Loss',
+        shortName: 'Huber',
+        outputActivations: ['sigmoid', 'softmax', 'linear'],
+        delta: 1.0,
+        formula: 'L = ½e² if |e| ≤ 1, else |e| - ½',
+        derivativeFormula: '∂L/∂a = clip(a - y, -1, 1)',
+        loss: (a, y) => {
+            const e = Math.abs(a - y);
+            const d = LossFunctions.huber.delta;
+            return e <= d ? 0.5 * e * e : d * (e - 0.5 * d);
+        },
+        derivative: (a, y) => {
+            const d = LossFunctions.huber.delta;
+            return Math.max(-d, Math.min(d, a - y));
+        },
+        describe: (a, y) => {
+            const e = a - y;
+            return Math.abs(e) <= LossFunctions.huber.delta
+                ? `½ × (${e.toFixed(4)})²`
+                : `|${e.toFixed(4)}| - ½`;
+        }
+    }
+};
+
+// Output-delta derivation for each output activation, as shown in the Delta computation box
+const OutputDeltaFormulas = {
+    sigmoid: (loss) => (loss.cancelsWith === 'sigmoid' ? 'δ = a - y' : 'δ = ∂L/∂a × σ\'(z)'),
+    softmax: (loss) => (loss.cancelsWith === 'softmax' ? 'δₖ = pₖ - yₖ' : 'δₖ = pₖ(gₖ - Σⱼ gⱼpⱼ)'),
+    linear: () => 'δ = ∂L/∂a × 1'
+};
+
+// Whether a loss can be paired with an output activation ('sigmoid', 'softmax' or 'linear')
+function isLossCompatible(lossKey, outputActivation) {
+    const loss = LossFunctions[lossKey];
+    return Boolean(loss) && loss.outputActivations.includes(outputActivation);
+}
+
+// Export for use
+window.LossFunctions = LossFunctions;
+window.OutputDeltaFormulas = OutputDeltaFormulas;
+window.isLossCompatible = isLossCompatible;
@@ -0,0 +1,53 @@
+/**
+ * NN-Model Visualizer - Learning-Rate Schedules
+ * Effective learning rate as a function of training progress during epoch training
+ *
+ * Each entry: rate(baseRate, epoch, totalEpochs) → η, where epoch is the fractional
+ * position in the run (0 at the first sample, totalEpochs at the end).
+ */
+
+const LearningRateSchedules = {
+    constant: {
+        name: 'Constant',
+        formula: 'η = η₀',
+        rate: (baseRate) => baseRate
+    },
+
+    step: {
+        name: 'Step Decay',
+        dropEvery: 2,
+        factor: 0.5,
+        formula: 'η = η₀ × 0.5^⌊epoch / 2⌋',
+        rate: (baseRate, epoch) => {
+            const { dropEvery, factor } = LearningRateSchedules.step;
+            return baseRate * Math.pow(factor, Math.floor(epoch / dropEvery));
+        }
+    },
+
+    exponential: {
+        name: 'Exponential Decay',
+        gamma: 0.8,
+        formula: 'η = η₀ × 0.8^epoch',
+        rate: (baseRate, epoch) => baseRate * Math.pow(LearningRateSchedules.exponential.gamma, epoch)
+    },
+
+    cosine: {
+        name: 'Cosine Annealing',
+        formula: 'η = η₀ × ½(1 + cos(π × epoch / E))',
+        rate: (baseRate, epoch, totalEpochs) => baseRate * 0.5 * (1 + Math.cos(Math.PI * epoch / totalEpochs))
+    },
+
+    warmup: {
+        name: 'Linear Warmup',
+        warmupEpochs: 1,
+        // Start at 10% so the very first update is not a no-op
+        formula: 'η = η₀ × (0.1 + 0.9 × min(1, epoch))',
+        rate: (baseRate, epoch) => {
+            const progress = Math.min(1, epoch / LearningRateSchedules.warmup.warmupEpochs);
+            return baseRate * (0.1 + 0.9 * progress);
+        }
+    }
+};
+
+// Export for use
+window.LearningRateSchedules = LearningRateSchedules;
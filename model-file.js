@@ -0,0 +1,266 @@
+/**
+ * NN-Model Visualizer - Model Files
+ * Saves a trained network as a versioned JSON document and rebuilds networks from one, checking every shape on the way in
+ *
+ * Document: { format, version, savedAt, config, layerSizes, weights[l][j][i], biases[l][j],
+ * optimizer: { step, state: { weights, biases } }, history: { samples, epochs } }.
+ * config holds the hyperparameters plus the seed and dataset key the app was using.
+ */
+
+class ModelFile {
+    // Snapshot of a network; extras are app-level settings: { learningRate, seed, dataset, batchMode, history }
+    static create(network, extras = {}) {
+        return {
+            format: ModelFile.FORMAT,
+            version: ModelFile.VERSION,
+            savedAt: new Date().toISOString(),
+            config: {
+                task: network.task,
+                classNames: network.classNames.slice(),
+                activationFunction: network.activationFunction,
+                layerActivations: network.layerActivations.slice(),
+                lossFunction: network.lossFunction,
+                learningRate: extras.learningRate || network.learningRate,
+                batchSize: network.batchSize,
+                batchMode: extras.batchMode,
+                optimizer: network.optimizer,
+                seed: extras.seed,
+                dataset: extras.dataset
+            },
+            layerSizes: network.layers.slice(),
+            weights: ModelFile.copy(network.weights),
+            biases: ModelFile.copy(network.biases),
+            optimizer: {
+                step: network.optimizerStep,
+                state: ModelFile.copy(network.optimizerState)
+            },
+            history: extras.history || { samples: [], epochs: [] }
+        };
+    }
+
+    // Parse and validate a model file's text; throws with a message fit for the status line
+    static parse(text) {
+        if (!text.trim()) {
+            throw new Error('The file is empty');
+        }
+
+        let model;
+        try {
+            model = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Invalid JSON: ${e.message}`);
+        }
+        ModelFile.validate(model);
+        return model;
+    }
+
+    static validate(model) {
+        if (!model || typeof model !== 'object' || Array.isArray(model)) {
+            throw new Error('A model file must be a JSON object');
+        }
+        if (model.format !== ModelFile.FORMAT) {
+            throw new Error(`Not a model file: expected "format": "${ModelFile.FORMAT}"`);
+        }
+        if (!Number.isInteger(model.version) || model.version < 1) {
+            throw new Error('Model file has no valid "version" number');
+        }
+        if (model.version > ModelFile.VERSION) {
+            throw new Error(`Model file version ${model.version} is newer than this app supports (version ${ModelFile.VERSION})`);
+        }
+
+        const config = model.config;
+        if (!config || typeof config !== 'object') {
+            throw new Error('Model file is missing its "config" section');
+        }
+
+        const sizes = model.layerSizes;
+        ModelFile.validateArchitecture(config, sizes);
+
+        // Parameters: weights[l] is (neurons in layer l + 1) × (neurons in layer l), biases[l] one per neuron
+        const numLayers = sizes.length - 1;
+        ModelFile.checkLayerCount('weights', model.weights, numLayers, sizes);
+        ModelFile.checkLayerCount('biases', model.biases, numLayers, sizes);
+        for (let l = 0; l < numLayers; l++) {
+            ModelFile.checkMatrix(`Weights for layer ${l + 1}`, model.weights[l], sizes[l + 1], sizes[l],
+                value => ModelFile.isNumber(value));
+            ModelFile.checkVector(`Biases for layer ${l + 1}`, model.biases[l], sizes[l + 1],
+                value => ModelFile.isNumber(value));
+        }
+
+        // Optimizer state is optional (a fresh state is used without it) but must match the weights when present
+        if (model.optimizer && model.optimizer.state) {
+            const { state, step } = model.optimizer;
+            const keys = Object.keys(Optimizers[config.optimizer].createState());
+            const isState = value => value !== null && typeof value === 'object' &&
+                keys.every(key => ModelFile.isNumber(value[key]));
+            const name = Optimizers[config.optimizer].name;
+
+            if (!Number.isInteger(step) || step < 0) {
+                throw new Error('Optimizer "step" must be a non-negative integer');
+            }
+            ModelFile.checkLayerCount('Optimizer state weights', state.weights, numLayers, sizes);
+            ModelFile.checkLayerCount('Optimizer state biases', state.biases, numLayers, sizes);
+            for (let l = 0; l < numLayers; l++) {
+                ModelFile.checkMatrix(`${name} state for the layer ${l + 1} weights`, state.weights[l], sizes[l + 1], sizes[l], isState);
+                ModelFile.checkVector(`${name} state for the layer ${l + 1} biases`, state.biases[l], sizes[l + 1], isState);
+            }
+        }
+
+        if (model.history !== undefined) {
+            const { samples, epochs } = model.history || {};
+            if (!Array.isArray(samples) || !Array.isArray(epochs)) {
+                throw new Error('"history" must hold "samples" and "epochs" arrays');
+            }
+            samples.forEach((loss, i) => {
+                // null is how JSON stores a diverged (NaN) loss; the chart skips it
+                if (loss !== null && !ModelFile.isNumber(loss)) {
+                    throw new Error(`History sample ${i + 1}: loss must be a number or null`);
+                }
+            });
+            // Epoch summaries as TrainingChart.getHistory() writes them; metrics are null when not measured
+            epochs.forEach((entry, i) => {
+                if (!entry || typeof entry !== 'object' || !Number.isInteger(entry.x) || entry.x < 0) {
+                    throw new Error(`History epoch ${i + 1} must be an object with a sample count "x"`);
+                }
+                ['trainLoss', 'trainAccuracy', 'validationLoss', 'validationAccuracy'].forEach(key => {
+                    if (entry[key] !== null && !ModelFile.isNumber(entry[key])) {
+                        throw new Error(`History epoch ${i + 1}: "${key}" must be a number or null`);
+                    }
+                });
+            });
+        }
+    }
+
+    // Layer sizes and hyperparameters, shared with shareable links
+    static validateArchitecture(config, sizes) {
+        // Layer sizes: input, at least one hidden layer, output
+        if (!Array.isArray(sizes) || sizes.length < 3 || !sizes.every(n => Number.isInteger(n) && n > 0)) {
+            throw new Error('"layerSizes" must list at least 3 positive integers: input, hidden layer(s), output');
+        }
+        const outputSize = sizes[sizes.length - 1];
+
+        if (!['classification', 'regression'].includes(config.task)) {
+            throw new Error(`Unknown task "${config.task}": expected "classification" or "regression"`);
+        }
+        if (config.task === 'regression' && outputSize !== 1) {
+            throw new Error(`Regression models have 1 output neuron, got ${outputSize}`);
+        }
+
+        // Registry keys
+        if (!Activations[config.activationFunction]) {
+            throw new Error(`Unknown activation function "${config.activationFunction}"`);
+        }
+        const layerActivations = config.layerActivations || [];
+        if (!Array.isArray(layerActivations) || layerActivations.length > sizes.length - 2) {
+            throw new Error(`"layerActivations" must have at most one entry per hidden layer (${sizes.length - 2})`);
+        }
+        layerActivations.forEach((key, i) => {
+            if (!Activations[key]) {
+                throw new Error(`Unknown activation function "${key}" for hidden layer ${i + 1}`);
+            }
+        });
+
+        const outputActivation = config.task === 'regression' ? 'linear' : (outputSize > 1 ? 'softmax' : 'sigmoid');
+        if (!LossFunctions[config.lossFunction]) {
+            throw new Error(`Unknown loss function "${config.lossFunction}"`);
+        }
+        if (!isLossCompatible(config.lossFunction, outputActivation)) {
+            throw new Error(`Loss "${config.lossFunction}" can't be used with a ${outputActivation} output`);
+        }
+        if (!Optimizers[config.optimizer]) {
+            throw new Error(`Unknown optimizer "${config.optimizer}"`);
+        }
+        if (!(config.learningRate > 0 && Number.isFinite(config.learningRate))) {
+            throw new Error('"learningRate" must be a positive number');
+        }
+        if (config.batchSize !== undefined && !(Number.isInteger(config.batchSize) && config.batchSize > 0)) {
+            throw new Error('"batchSize" must be a positive integer');
+        }
+        if (config.batchMode !== undefined && !ModelFile.BATCH_MODES.includes(config.batchMode)) {
+            throw new Error(`Unknown batch mode "${config.batchMode}": expected ${ModelFile.BATCH_MODES.map(mode => `"${mode}"`).join(', ')}`);
+        }
+        if (config.classNames !== undefined && !Array.isArray(config.classNames)) {
+            throw new Error('"classNames" must be an array of names');
+        }
+        (config.classNames || []).forEach((name, k) => {
+            if (typeof name !== 'string' || !name.trim() || name.length > ModelFile.MAX_CLASS_NAME_LENGTH) {
+                throw new Error(`Class name ${k + 1} must be a non-empty string of at most ${ModelFile.MAX_CLASS_NAME_LENGTH} characters`);
+            }
+        });
+    }
+
+    static checkLayerCount(label, layers, count, sizes) {
+        if (!Array.isArray(layers) || layers.length !== count) {
+            const got = Array.isArray(layers) ? layers.length : 'none';
+            throw new Error(`"${label}" must have ${count} layers for ${sizes.join(' → ')}, got ${got}`);
+        }
+    }
+
+    // rows × cols nested array whose entries all pass isValid
+    static checkMatrix(label, matrix, rows, cols, isValid) {
+        if (!Array.isArray(matrix) || !matrix.every(Array.isArray)) {
+            throw new Error(`${label} must be a ${rows}×${cols} array (neurons × inputs)`);
+        }
+        const widths = [...new Set(matrix.map(row => row.length))];
+        if (matrix.length !== rows || widths.length !== 1 || widths[0] !== cols) {
+            const got = widths.length > 1 ? `rows of ${widths.join('/')} values` : `${matrix.length}×${widths[0] || 0}`;
+            throw new Error(`${label} must be ${rows}×${cols} (neurons × inputs), got ${got}`);
+        }
+        matrix.forEach((row, j) => row.forEach((value, i) => {
+            if (!isValid(value)) {
+                throw new Error(`${label}: invalid value at neuron ${j + 1}, input ${i + 1}`);
+            }
+        }));
+    }
+
+    static checkVector(label, vector, length, isValid) {
+        if (!Array.isArray(vector) || vector.length !== length) {
+            const got = Array.isArray(vector) ? vector.length : 'none';
+            throw new Error(`${label} must have ${length} values (one per neuron), got ${got}`);
+        }
+        vector.forEach((value, j) => {
+            if (!isValid(value)) {
+                throw new Error(`${label}: invalid value at neuron ${j + 1}`);
+            }
+        });
+    }
+
+    static isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // Rebuild a validated model's network; rng only seeds the initial weights, which are then replaced
+    static createNetwork(model, rng) {
+        const { config, layerSizes } = model;
+        const network = new NeuralNetwork({
+            inputSize: layerSizes[0],
+            layers: layerSizes.slice(1, -1),
+            task: config.task,
+            outputSize: layerSizes[layerSizes.length - 1],
+            classNames: config.classNames,
+            activationFunction: config.activationFunction,
+            layerActivations: config.layerActivations,
+            lossFunction: config.lossFunction,
+            learningRate: config.learningRate,
+            batchSize: config.batchSize,
+            optimizer: config.optimizer,
+            rng
+        });
+
+        const optimizer = model.optimizer && model.optimizer.state ? model.optimizer : null;
+        network.loadParameters(model.weights, model.biases, optimizer && optimizer.state, optimizer ? optimizer.step : 0);
+        return network;
+    }
+
+    static copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+ModelFile.FORMAT = 'nn-visualizer-model';
+ModelFile.VERSION = 1;
+ModelFile.MAX_CLASS_NAME_LENGTH = 32;
+ModelFile.BATCH_MODES = ['stochastic', 'mini', 'full'];
+
+// Export for use
+window.ModelFile = ModelFile;
@@ -6,11 +6,36 @@
 class NeuralNetwork {
     constructor(config) {
         this.inputSize = config.inputSize || 3;
-        this.hiddenLayers = config.hiddenLayers || 2;
-        this.neuronsPerLayer = config.neuronsPerLayer || 4;
-        this.activationFunction = config.activationFunction || 'sigmoid';
+        // Hidden layer widths, e.g. [8, 4, 2]; falls back to a uniform hiddenLayers × neuronsPerLayer stack
+        this.hiddenLayerSizes = config.layers && config.layers.length
+            ? config.layers.slice()
+            : Array(config.hiddenLayers || 2).fill(config.neuronsPerLayer || 4);
+        this.hiddenLayers = this.hiddenLayerSizes.length;
+        this.activationFunction = Activations[config.activationFunction] ? config.activationFunction : 'sigmoid';
+        // Per-hidden-layer activation keys; missing or unknown entries use activationFunction
+        this.layerActivations = this.hiddenLayerSizes.map((_, i) => {
+            const key = config.layerActivations && config.layerActivations[i];
+            return Activations[key] ? key : this.activationFunction;
+        });
         this.learningRate = config.learningRate || 0.5;
         
+        // 'classification' or 'regression' (single linear output with real-valued targets)
+        this.task = config.task || 'classification';
+        
+        // Output layer: 1 neuron = binary (sigmoid), 2+ neurons = multi-class (softmax)
+        this.outputSize = this.task === 'regression' ? 1 : (config.outputSize || 1);
+        this.classNames = this.outputSize > 1
+            ? Array.from({ length: this.outputSize }, (_, k) => (config.classNames && config.classNames[k]) || `Class ${k}`)
+            : [];
+        
+        // Loss function key from LossFunctions; incompatible choices fall back to the output's natural loss
+        this.lossFunction = config.lossFunction && isLossCompatible(config.lossFunction, this.getOutputActivationName())
+            ? config.lossFunction
+            : (this.getOutputActivationName() === 'softmax' ? 'cross_entropy' : 'mse');
+        
+        // Random source: any object with next() returning [0, 1), seeded for reproducibility
+        this.rng = config.rng || new SeededRandom(config.seed);
+        
         // Network structure
         this.layers = [];
         this.weights = [];
@@ -25,21 +50,33 @@ class NeuralNetwork {
         this.weightGradients = [];
         this.biasGradients = [];
         this.previousWeights = []; // For visualizing changes
+        this.previousBiases = [];
+        
+        // Mini-batch: gradients are summed over batchSize samples, then averaged and applied once
+        this.batchSize = Math.max(1, config.batchSize || 1);
+        this.batchWeightGradients = [];
+        this.batchBiasGradients = [];
+        this.batchCount = 0;
+        this.batchApplied = false;
+        
+        // Optimizer key from Optimizers, with per-weight and per-bias state
+        this.optimizer = Optimizers[config.optimizer] ? config.optimizer : 'sgd';
+        this.optimizerState = { weights: [], biases: [] };
+        this.optimizerStep = 0;
         
         // Step tracking for animation
         this.steps = [];
         this.currentStepIndex = -1;
+        // Start of the last recorded pass, replayed to rebuild step snapshots
+        this.pass = null;
         
         this.initializeNetwork();
     }
     
     initializeNetwork() {
         // Define layer sizes
-        this.layers = [this.inputSize];
-        for (let i = 0; i < this.hiddenLayers; i++) {
-            this.layers.push(this.neuronsPerLayer);
-        }
-        this.layers.push(1); // Output layer (binary classification)
+        this.layers = [this.inputSize, ...this.hiddenLayerSizes];
+        this.layers.push(this.outputSize);
         
         // Initialize weights and biases with Xavier initialization
         this.weights = [];
@@ -56,7 +93,7 @@ class NeuralNetwork {
             for (let j = 0; j < outputSize; j++) {
                 const neuronWeights = [];
                 for (let k = 0; k < inputSize; k++) {
-                    neuronWeights.push((Math.random() * 2 - 1) * limit);
+                    neuronWeights.push((this.rng.next() * 2 - 1) * limit);
                 }
                 layerWeights.push(neuronWeights);
             }
@@ -64,44 +101,122 @@ class NeuralNetwork {
             
             const layerBiases = [];
             for (let j = 0; j < outputSize; j++) {
-                layerBiases.push((Math.random() * 2 - 1) * 0.1);
+                layerBiases.push((this.rng.next() * 2 - 1) * 0.1);
             }
             this.biases.push(layerBiases);
         }
         
         // Store copy for tracking changes
         this.previousWeights = JSON.parse(JSON.stringify(this.weights));
+        this.previousBiases = JSON.parse(JSON.stringify(this.biases));
+        this.resetBatch();
+        this.resetOptimizerState();
     }
     
-    // Activation functions
-    activate(x, derivative = false) {
-        switch (this.activationFunction) {
-            case 'sigmoid':
-                if (derivative) {
-                    const sig = this.sigmoid(x);
-                    return sig * (1 - sig);
-                }
-                return this.sigmoid(x);
-            case 'relu':
-                if (derivative) {
-                    return x > 0 ? 1 : 0;
-                }
-                return Math.max(0, x);
-            case 'tanh':
-                if (derivative) {
-                    const t = Math.tanh(x);
-                    return 1 - t * t;
-                }
-                return Math.tanh(x);
-            default:
-                return this.sigmoid(x);
+    // Fresh optimizer state (zero velocity / moments) for every weight and bias
+    resetOptimizerState() {
+        const optimizer = Optimizers[this.optimizer];
+        this.optimizerState = {
+            weights: this.weights.map(layer => layer.map(neuron => neuron.map(() => optimizer.createState()))),
+            biases: this.biases.map(layer => layer.map(() => optimizer.createState()))
+        };
+        this.optimizerStep = 0;
+    }
+    
+    // Replace the parameters (e.g. from a saved model); without a saved optimizer state it starts fresh
+    loadParameters(weights, biases, optimizerState = null, optimizerStep = 0) {
+        this.weights = JSON.parse(JSON.stringify(weights));
+        this.biases = JSON.parse(JSON.stringify(biases));
+        this.previousWeights = JSON.parse(JSON.stringify(this.weights));
+        this.previousBiases = JSON.parse(JSON.stringify(this.biases));
+        this.resetBatch();
+        
+        if (optimizerState) {
+            this.optimizerState = JSON.parse(JSON.stringify(optimizerState));
+            this.optimizerStep = optimizerStep;
+        } else {
+            this.resetOptimizerState();
         }
     }
     
+    setOptimizer(key) {
+        this.optimizer = Optimizers[key] ? key : 'sgd';
+        this.resetOptimizerState();
+    }
+    
+    // Empty the gradient accumulators
+    resetBatch() {
+        this.batchWeightGradients = this.weights.map(layer => layer.map(neuron => neuron.map(() => 0)));
+        this.batchBiasGradients = this.biases.map(layer => layer.map(() => 0));
+        this.batchCount = 0;
+        this.batchApplied = false;
+    }
+    
+    setBatchSize(batchSize) {
+        this.batchSize = Math.max(1, batchSize);
+        this.resetBatch();
+    }
+    
+    // Element-wise activation from the Activations registry (defaults to the network-wide function)
+    activate(x, derivative = false, name = this.activationFunction) {
+        const activation = Activations[name] || Activations.sigmoid;
+        return derivative ? activation.derivative(x) : activation.fn(x);
+    }
+    
     sigmoid(x) {
-        // Clamp to prevent overflow
-        x = Math.max(-500, Math.min(500, x));
-        return 1 / (1 + Math.exp(-x));
+        return Activations.sigmoid.fn(x);
+    }
+    
+    softmax(zs) {
+        // Subtract the max for numerical stability
+        const max = Math.max(...zs);
+        const exps = zs.map(z => Math.exp(z - max));
+        const sum = exps.reduce((a, b) => a + b, 0);
+        return exps.map(e => e / sum);
+    }
+    
+    isMultiClass() {
+        return this.task === 'classification' && this.outputSize > 1;
+    }
+    
+    isRegression() {
+        return this.task === 'regression';
+    }
+    
+    // Output activation implied by the task: linear (regression), softmax (multi-class) or sigmoid (binary)
+    getOutputActivationName() {
+        if (this.isRegression()) return 'linear';
+        return this.isMultiClass() ? 'softmax' : 'sigmoid';
+    }
+    
+    // Name of the activation applied to a given weight layer's outputs
+    getLayerActivationName(l) {
+        if (l === this.weights.length - 1) {
+            return this.getOutputActivationName();
+        }
+        return this.layerActivations[l];
+    }
+    
+    // Short name used in step descriptions, e.g. σ or LeakyReLU
+    getActivationLabel(name) {
+        return Activations[name] ? Activations[name].shortName : name;
+    }
+    
+    // Apply a layer's activation to all of its pre-activations at once (softmax needs the whole layer)
+    activateLayer(l, zs) {
+        const name = this.getLayerActivationName(l);
+        if (name === 'softmax') {
+            return this.softmax(zs);
+        }
+        return zs.map(z => this.activate(z, false, name));
+    }
+    
+    // Index of the most probable class (multi-class) or the thresholded label (binary)
+    getPredictedClass(output) {
+        if (Array.isArray(output)) {
+            return output.indexOf(Math.max(...output));
+        }
+        return output >= 0.5 ? 1 : 0;
     }
     
     // Forward propagation with step tracking
@@ -109,11 +224,15 @@ class NeuralNetwork {
         this.steps = [];
         this.activations = [input.slice()];
         this.preActivations = [null]; // No pre-activation for input layer
-        
+        // This pass has no deltas yet; stale ones would leak into the forward steps' snapshots
+        this.deltas = [];
+        this.weightGradients = [];
+        this.biasGradients = [];
+
         let currentActivation = input.slice();
         
         // Add initial step
-        this.steps.push({
+        this.recordStep({
             type: 'input',
             phase: 'forward',
             layerIndex: 0,
@@ -125,8 +244,8 @@ class NeuralNetwork {
         for (let l = 0; l < this.weights.length; l++) {
             const layerWeights = this.weights[l];
             const layerBiases = this.biases[l];
-            const newActivation = [];
             const layerPreActivations = [];
+            const activationName = this.getLayerActivationName(l);
             
             for (let j = 0; j < layerWeights.length; j++) {
                 // Calculate weighted sum
@@ -135,22 +254,31 @@ class NeuralNetwork {
                     z += currentActivation[i] * layerWeights[j][i];
                 }
                 layerPreActivations.push(z);
-                
-                // Apply activation function
-                const a = l === this.weights.length - 1 
-                    ? this.sigmoid(z) // Always sigmoid for output layer
-                    : this.activate(z);
-                newActivation.push(a);
+            }
+            
+            // Apply activation function
+            const newActivation = this.activateLayer(l, layerPreActivations);
+            
+            // Fill the layer neuron by neuron so each step's snapshot shows the pass so far
+            this.preActivations.push([]);
+            this.activations.push([]);
+            
+            for (let j = 0; j < layerWeights.length; j++) {
+                const z = layerPreActivations[j];
+                const a = newActivation[j];
+                this.preActivations[l + 1].push(z);
+                this.activations[l + 1].push(a);
                 
                 // Add step for each neuron computation
-                this.steps.push({
+                this.recordStep({
                     type: 'forward_neuron',
                     phase: 'forward',
                     layerIndex: l + 1,
                     neuronIndex: j,
-                    description: `Layer ${l + 1}, Neuron ${j + 1}: z = Σ(w·a) + b = ${z.toFixed(4)}, a = ${this.activationFunction}(z) = ${a.toFixed(4)}`,
+                    description: `Layer ${l + 1}, Neuron ${j + 1}: z = Σ(w·a) + b = ${z.toFixed(4)}, a = ${this.getActivationLabel(activationName)}(z) = ${a.toFixed(4)}`,
                     weightedSum: z,
                     activation: a,
+                    activationFunction: activationName,
                     inputWeights: layerWeights[j].slice(),
                     inputActivations: currentActivation.slice(),
                     bias: layerBiases[j],
@@ -164,12 +292,10 @@ class NeuralNetwork {
                 });
             }
             
-            this.preActivations.push(layerPreActivations);
             currentActivation = newActivation;
-            this.activations.push(newActivation.slice());
             
             // Add layer completion step
-            this.steps.push({
+            this.recordStep({
                 type: 'forward_layer_complete',
                 phase: 'forward',
                 layerIndex: l + 1,
@@ -179,63 +305,33 @@ class NeuralNetwork {
             });
         }
         
-        return currentActivation[0]; // Return output
+        // Scalar for binary output, probability vector for multi-class
+        return this.isMultiClass() ? currentActivation.slice() : currentActivation[0];
     }
     
     // Backward propagation with step tracking
-    backward(target) {
-        const output = this.activations[this.activations.length - 1][0];
-        const error = output - target;
-        const loss = 0.5 * error * error; // MSE loss
-        
-        // Store previous weights for visualization
+    // target: 0/1 for a binary network, class index for a multi-class network
+    backward(target, endOfBatch = false) {
+        // Store previous weights and biases for visualization
         this.previousWeights = JSON.parse(JSON.stringify(this.weights));
+        this.previousBiases = JSON.parse(JSON.stringify(this.biases));
         
-        this.deltas = [];
-        this.weightGradients = [];
-        this.biasGradients = [];
-        
-        // Add loss calculation step
-        this.steps.push({
-            type: 'loss',
-            phase: 'backward',
-            description: `Output: ${output.toFixed(4)}, Target: ${target}, Error: ${error.toFixed(4)}, Loss (MSE): ${loss.toFixed(6)}`,
-            output,
-            target,
-            error,
-            loss
-        });
+        // Deltas fill in as they are computed, output layer first
+        this.deltas = this.weights.map(() => []);
+        this.weightGradients = this.weights.map(() => []);
+        this.biasGradients = this.weights.map(() => []);
         
-        // Calculate output layer delta
-        // For sigmoid output: δ = (a - y) * σ'(z)
-        const outputZ = this.preActivations[this.preActivations.length - 1][0];
-        const sigmoidDerivative = output * (1 - output);
-        const outputDelta = error * sigmoidDerivative;
-        
-        this.steps.push({
-            type: 'backward_delta',
-            phase: 'backward',
-            layerIndex: this.layers.length - 1,
-            description: `Output layer δ = error × σ'(z) = ${error.toFixed(4)} × ${sigmoidDerivative.toFixed(4)} = ${outputDelta.toFixed(6)}`,
-            delta: outputDelta,
-            highlightNeurons: [{ layer: this.layers.length - 1, neuron: 0 }]
-        });
-        
-        // Initialize deltas array
-        for (let l = 0; l < this.weights.length; l++) {
-            this.deltas.push([]);
-            this.weightGradients.push([]);
-            this.biasGradients.push([]);
-        }
-        
-        this.deltas[this.deltas.length - 1] = [outputDelta];
+        const { loss, output, error } = this.computeOutputDeltas(target);
         
         // Backpropagate deltas through hidden layers
         for (let l = this.weights.length - 2; l >= 0; l--) {
-            const layerDeltas = [];
+            const layerDeltas = this.deltas[l];
             const nextLayerDeltas = this.deltas[l + 1];
             const nextLayerWeights = this.weights[l + 1];
             
+            const activationName = this.getLayerActivationName(l);
+            const label = this.getActivationLabel(activationName);
+            
             for (let j = 0; j < this.layers[l + 1]; j++) {
                 // Sum of (next layer deltas × weights connecting to this neuron)
                 let deltaSum = 0;
@@ -245,17 +341,21 @@ class NeuralNetwork {
                 
                 // Multiply by activation derivative
                 const z = this.preActivations[l + 1][j];
-                const activationDerivative = this.activate(z, true);
+                const activationDerivative = this.activate(z, true, activationName);
                 const delta = deltaSum * activationDerivative;
                 layerDeltas.push(delta);
                 
-                this.steps.push({
+                this.recordStep({
                     type: 'backward_delta',
                     phase: 'backward',
                     layerIndex: l + 1,
                     neuronIndex: j,
-                    description: `Layer ${l + 1}, Neuron ${j + 1}: δ = Σ(δₙₑₓₜ × w) × ${this.activationFunction}'(z) = ${delta.toFixed(6)}`,
+                    description: `Layer ${l + 1}, Neuron ${j + 1}: δ = Σ(δₙₑₓₜ × w) × ${label}'(z) = ${delta.toFixed(6)}`,
                     delta,
+                    deltaSum,
+                    z,
+                    activationDerivative,
+                    activationFunction: activationName,
                     highlightNeurons: [{ layer: l + 1, neuron: j }],
                     highlightConnections: nextLayerDeltas.map((_, k) => ({
                         fromLayer: l + 1,
@@ -265,43 +365,114 @@ class NeuralNetwork {
                     }))
                 });
             }
-            
-            this.deltas[l] = layerDeltas;
         }
         
-        // Calculate gradients and update weights
+        // Per-sample gradients: ∂L/∂w = δ × input activation, ∂L/∂b = δ
+        for (let l = 0; l < this.weights.length; l++) {
+            this.weightGradients[l] = this.weights[l].map((neuronWeights, j) =>
+                neuronWeights.map((_, i) => this.deltas[l][j] * this.activations[l][i])
+            );
+            this.biasGradients[l] = this.deltas[l].slice();
+        }
+        
+        if (this.batchSize === 1) {
+            this.applyGradients(this.weightGradients, this.biasGradients, 1);
+        } else {
+            this.accumulateGradients(endOfBatch);
+        }
+        
+        // Add completion step
+        this.recordStep({
+            type: 'complete',
+            phase: 'complete',
+            description: `Training step complete. New loss will be calculated on next forward pass.`,
+            weights: JSON.parse(JSON.stringify(this.weights)),
+            previousWeights: JSON.parse(JSON.stringify(this.previousWeights))
+        });
+        
+        return { loss, output, error };
+    }
+    
+    // Add this sample's gradients to the batch totals; apply the averaged update once the batch is full
+    accumulateGradients(endOfBatch) {
+        if (this.batchApplied) {
+            this.resetBatch();
+        }
+        
         for (let l = 0; l < this.weights.length; l++) {
-            const layerGradients = [];
-            const layerBiasGradients = [];
-            
             for (let j = 0; j < this.weights[l].length; j++) {
-                const neuronGradients = [];
-                const delta = this.deltas[l][j];
-                
-                // Bias gradient is just the delta
-                layerBiasGradients.push(delta);
-                
                 for (let i = 0; i < this.weights[l][j].length; i++) {
-                    // Weight gradient = delta × input activation
-                    const gradient = delta * this.activations[l][i];
-                    neuronGradients.push(gradient);
-                    
-                    // Update weight
+                    this.batchWeightGradients[l][j][i] += this.weightGradients[l][j][i];
+                }
+                this.batchBiasGradients[l][j] += this.biasGradients[l][j];
+            }
+        }
+        this.batchCount++;
+        
+        this.recordStep({
+            type: 'accumulate_gradient',
+            phase: 'backward',
+            description: `Accumulate gradients: Σ∂L/∂w += ∂L/∂w (sample ${this.batchCount} of ${this.batchSize} in this batch)`,
+            batchCount: this.batchCount,
+            batchSize: this.batchSize,
+            sampleGradientNorm: this.gradientNorm(this.weightGradients),
+            batchGradientNorm: this.gradientNorm(this.batchWeightGradients),
+            highlightConnections: this.getAllConnections()
+        });
+        
+        if (this.batchCount < this.batchSize && !endOfBatch) return;
+        
+        const n = this.batchCount;
+        const scale = g => g / n;
+        const meanWeightGradients = this.batchWeightGradients.map(layer => layer.map(neuron => neuron.map(scale)));
+        
+        this.recordStep({
+            type: 'batch_update',
+            phase: 'backward',
+            description: `Apply batch update: g = (1/${n})Σ∂L/∂w, averaged over ${n} sample${n === 1 ? '' : 's'}, then one ${Optimizers[this.optimizer].name} update of every weight`,
+            batchCount: n,
+            batchSize: this.batchSize,
+            optimizer: this.optimizer,
+            batchGradientNorm: this.gradientNorm(this.batchWeightGradients),
+            meanGradientNorm: this.gradientNorm(meanWeightGradients),
+            highlightConnections: this.getAllConnections()
+        });
+        
+        this.applyGradients(meanWeightGradients, this.batchBiasGradients.map(layer => layer.map(scale)), n);
+        this.batchApplied = true;
+    }
+    
+    // Optimizer step on every weight and bias, recording one weight_update step per weight
+    applyGradients(weightGradients, biasGradients, batchCount) {
+        const optimizer = Optimizers[this.optimizer];
+        this.optimizerStep++;
+        
+        for (let l = 0; l < this.weights.length; l++) {
+            for (let j = 0; j < this.weights[l].length; j++) {
+                for (let i = 0; i < this.weights[l][j].length; i++) {
+                    const gradient = weightGradients[l][j][i];
                     const oldWeight = this.weights[l][j][i];
-                    const weightUpdate = -this.learningRate * gradient;
+                    const state = this.optimizerState.weights[l][j][i];
+                    const weightUpdate = optimizer.update(state, gradient, this.learningRate, this.optimizerStep);
                     this.weights[l][j][i] += weightUpdate;
                     
-                    this.steps.push({
+                    const batchText = batchCount > 1 ? `, mean of ${batchCount}` : '';
+                    this.recordStep({
                         type: 'weight_update',
                         phase: 'backward',
                         layerIndex: l,
                         fromNeuron: i,
                         toNeuron: j,
-                        description: `w[${l}][${j}][${i}]: ${oldWeight.toFixed(4)} → ${this.weights[l][j][i].toFixed(4)} (Δ = ${weightUpdate.toFixed(6)})`,
+                        description: `w[${l}][${j}][${i}]: ${oldWeight.toFixed(4)} → ${this.weights[l][j][i].toFixed(4)} (Δ = ${weightUpdate.toFixed(6)}${batchText})`,
                         oldWeight,
                         newWeight: this.weights[l][j][i],
                         gradient,
                         weightUpdate,
+                        batchCount,
+                        optimizer: this.optimizer,
+                        learningRate: this.learningRate,
+                        optimizerState: { ...state },
+                        optimizerStep: this.optimizerStep,
                         highlightConnections: [{
                             fromLayer: l,
                             fromNeuron: i,
@@ -311,27 +482,322 @@ class NeuralNetwork {
                     });
                 }
                 
-                // Update bias
+                // The neuron's bias follows its incoming weights: ∂L/∂b = δ
+                const biasGradient = biasGradients[l][j];
                 const oldBias = this.biases[l][j];
-                this.biases[l][j] -= this.learningRate * delta;
+                const biasState = this.optimizerState.biases[l][j];
+                const biasUpdate = optimizer.update(biasState, biasGradient, this.learningRate, this.optimizerStep);
+                this.biases[l][j] += biasUpdate;
                 
-                layerGradients.push(neuronGradients);
+                const batchText = batchCount > 1 ? `, mean of ${batchCount}` : '';
+                this.recordStep({
+                    type: 'bias_update',
+                    phase: 'backward',
+                    layerIndex: l,
+                    neuronIndex: j,
+                    description: `b[${l}][${j}]: ${oldBias.toFixed(4)} → ${this.biases[l][j].toFixed(4)} (Δ = ${biasUpdate.toFixed(6)}${batchText})`,
+                    oldBias,
+                    newBias: this.biases[l][j],
+                    gradient: biasGradient,
+                    biasUpdate,
+                    batchCount,
+                    optimizer: this.optimizer,
+                    learningRate: this.learningRate,
+                    optimizerState: { ...biasState },
+                    optimizerStep: this.optimizerStep,
+                    highlightNeurons: [{ layer: l + 1, neuron: j }]
+                });
             }
-            
-            this.weightGradients[l] = layerGradients;
-            this.biasGradients[l] = layerBiasGradients;
+        }
+    }
+    
+    // L2 norm over all weight gradients
+    gradientNorm(weightGradients) {
+        let sum = 0;
+        weightGradients.forEach(layer => layer.forEach(neuron => neuron.forEach(g => {
+            sum += g * g;
+        })));
+        return Math.sqrt(sum);
+    }
+    
+    // Every edge in the network, for steps that touch all weights at once
+    getAllConnections() {
+        const connections = [];
+        this.weights.forEach((layer, l) => layer.forEach((neuron, j) => neuron.forEach((_, i) => {
+            connections.push({ fromLayer: l, fromNeuron: i, toLayer: l + 1, toNeuron: j });
+        })));
+        return connections;
+    }
+    
+    // Output layer deltas for the configured loss and output activation
+    // Binary targets are 0/1; multi-class targets are class indices expanded to one-hot vectors
+    computeOutputDeltas(target) {
+        const outputLayer = this.layers.length - 1;
+        const lossFn = LossFunctions[this.lossFunction];
+        const multiClass = this.isMultiClass();
+        const outputActivation = this.getLayerActivationName(this.weights.length - 1);
+        
+        const outputs = this.activations[outputLayer].slice();
+        const targetVector = this.getTargetVector(target);
+        const errors = outputs.map((a, k) => a - targetVector[k]);
+        const loss = this.computeLoss(multiClass ? outputs : outputs[0], target);
+        
+        // ∂L/∂a for each output, then chain through the output activation
+        const lossGradients = outputs.map((a, k) => lossFn.derivative(a, targetVector[k]));
+        let outputDeltas;
+        let activationDerivatives;
+        
+        if (lossFn.cancelsWith === outputActivation) {
+            // Matching loss/activation pairs simplify to δ = a - y
+            outputDeltas = errors.slice();
+        } else if (outputActivation === 'softmax') {
+            // Full softmax Jacobian: δₖ = pₖ(gₖ - Σⱼ gⱼpⱼ)
+            const weighted = lossGradients.reduce((sum, g, j) => sum + g * outputs[j], 0);
+            outputDeltas = outputs.map((p, k) => p * (lossGradients[k] - weighted));
+        } else {
+            // Identity output has derivative 1; sigmoid has σ'(z) = a(1 - a)
+            activationDerivatives = outputActivation === 'linear'
+                ? outputs.map(() => 1)
+                : outputs.map(a => a * (1 - a));
+            outputDeltas = lossGradients.map((g, k) => g * activationDerivatives[k]);
         }
         
-        // Add completion step
-        this.steps.push({
-            type: 'complete',
-            phase: 'complete',
-            description: `Training step complete. New loss will be calculated on next forward pass.`,
-            weights: JSON.parse(JSON.stringify(this.weights)),
-            previousWeights: JSON.parse(JSON.stringify(this.previousWeights))
+        const output = multiClass ? outputs : outputs[0];
+        const error = multiClass ? errors : errors[0];
+        
+        // Add loss calculation step
+        const outputText = multiClass ? `[${outputs.map(p => p.toFixed(4)).join(', ')}]` : output.toFixed(4);
+        const targetText = multiClass ? this.classNames[target] : this.isRegression() ? target.toFixed(4) : target;
+        const residual = this.isRegression() ? target - output : undefined;
+        this.recordStep({
+            type: 'loss',
+            phase: 'backward',
+            description: this.isRegression()
+                ? `Prediction: ${outputText}, Target: ${targetText}, Residual: ${residual.toFixed(4)}, Loss (${lossFn.shortName}): ${loss.toFixed(6)}`
+                : `Output: ${outputText}, Target: ${targetText}, Loss (${lossFn.shortName}): ${loss.toFixed(6)}`,
+            task: this.task,
+            residual,
+            lossFunction: this.lossFunction,
+            output,
+            target,
+            targetVector,
+            classNames: this.classNames.slice(),
+            error,
+            loss
         });
         
-        return { loss, output, error };
+        for (let k = 0; k < outputDeltas.length; k++) {
+            this.deltas[this.deltas.length - 1].push(outputDeltas[k]);
+            const label = multiClass ? `Output ${this.classNames[k]}` : 'Output layer';
+            const valuesText = activationDerivatives
+                ? `${lossGradients[k].toFixed(4)} × ${outputActivation === 'linear' ? 1 : activationDerivatives[k].toFixed(4)}`
+                : `${outputs[k].toFixed(4)} - ${targetVector[k]}`;
+            const formula = OutputDeltaFormulas[outputActivation](lossFn);
+            this.recordStep({
+                type: 'backward_delta',
+                phase: 'backward',
+                layerIndex: outputLayer,
+                neuronIndex: k,
+                description: lossFn.cancelsWith === outputActivation || activationDerivatives
+                    ? `${label}: ${formula} = ${valuesText} = ${outputDeltas[k].toFixed(6)}`
+                    : `${label}: ${formula} = ${outputDeltas[k].toFixed(6)}`,
+                delta: outputDeltas[k],
+                lossFunction: this.lossFunction,
+                outputActivation,
+                output: outputs[k],
+                z: this.preActivations[outputLayer][k],
+                targetValue: targetVector[k],
+                lossGradient: lossGradients[k],
+                activationDerivative: activationDerivatives ? activationDerivatives[k] : undefined,
+                className: multiClass ? this.classNames[k] : undefined,
+                highlightNeurons: [{ layer: outputLayer, neuron: k }]
+            });
+        }
+        
+        return { loss, output, error, outputDeltas };
+    }
+    
+    // One-hot vector for multi-class targets, single-element vector otherwise
+    getTargetVector(target) {
+        if (this.isMultiClass()) {
+            // A class index without an output neuron would train against an all-zero target
+            if (!Number.isInteger(target) || target < 0 || target >= this.outputSize) {
+                throw new Error(`Target class ${target} has no output neuron (network has ${this.outputSize})`);
+            }
+            return Array.from({ length: this.outputSize }, (_, k) => (k === target ? 1 : 0));
+        }
+        return [target];
+    }
+    
+    // Loss of an output (scalar or probability vector) against a target under the configured loss
+    computeLoss(output, target) {
+        const lossFn = LossFunctions[this.lossFunction];
+        const outputs = Array.isArray(output) ? output : [output];
+        const targetVector = this.getTargetVector(target);
+        return outputs.reduce((sum, a, k) => sum + lossFn.loss(a, targetVector[k]), 0);
+    }
+    
+    // Forward-only pass: no steps, no stored activations, weights untouched
+    evaluate(input) {
+        const layers = this.evaluateLayers(input);
+        const output = layers[layers.length - 1];
+        return this.isMultiClass() ? output : output[0];
+    }
+    
+    // Forward pass without step tracking that still stores activations and z values for display,
+    // e.g. after a manual weight edit; gradients from an earlier pass no longer apply and are cleared
+    computeActivations(input) {
+        this.activations = [input.slice()];
+        this.preActivations = [null];
+        this.deltas = [];
+        this.weightGradients = [];
+        this.biasGradients = [];
+        
+        for (let l = 0; l < this.weights.length; l++) {
+            const previous = this.activations[l];
+            const zs = this.weights[l].map((neuronWeights, j) =>
+                neuronWeights.reduce((z, w, i) => z + w * previous[i], this.biases[l][j])
+            );
+            this.preActivations.push(zs);
+            this.activations.push(this.activateLayer(l, zs));
+        }
+        
+        const output = this.activations[this.activations.length - 1];
+        return this.isMultiClass() ? output.slice() : output[0];
+    }
+    
+    // Manual edits become the new baseline, so they don't show up as training changes
+    setWeight(layerIndex, toNeuron, fromNeuron, value) {
+        this.weights[layerIndex][toNeuron][fromNeuron] = value;
+        this.previousWeights[layerIndex][toNeuron][fromNeuron] = value;
+    }
+    
+    setBias(layerIndex, neuron, value) {
+        this.biases[layerIndex][neuron] = value;
+        this.previousBiases[layerIndex][neuron] = value;
+    }
+    
+    // Forward-only pass keeping every layer's activations, input first (used for hidden-neuron feature maps)
+    evaluateLayers(input) {
+        const layers = [input.slice()];
+        for (let l = 0; l < this.weights.length; l++) {
+            const previous = layers[l];
+            const zs = this.weights[l].map((neuronWeights, j) =>
+                neuronWeights.reduce((z, w, i) => z + w * previous[i], this.biases[l][j])
+            );
+            layers.push(this.activateLayer(l, zs));
+        }
+        return layers;
+    }
+    
+    // Mean loss and accuracy over a set of { input, target } samples (accuracy is null for regression)
+    evaluateDataset(samples) {
+        if (!samples.length) {
+            return { loss: null, accuracy: null };
+        }
+        
+        let totalLoss = 0;
+        let correct = 0;
+        samples.forEach(({ input, target }) => {
+            const output = this.evaluate(input);
+            totalLoss += this.computeLoss(output, target);
+            if (!this.isRegression() && this.getPredictedClass(output) === target) {
+                correct++;
+            }
+        });
+        
+        return {
+            loss: totalLoss / samples.length,
+            accuracy: this.isRegression() ? null : correct / samples.length
+        };
+    }
+    
+    // Record a step; step.snapshot (a frozen copy of the state it leaves behind) is rebuilt on first read
+    // by replaying the pass, so passes nobody steps through (e.g. epoch training) copy nothing per step
+    recordStep(step) {
+        const index = this.steps.length;
+        if (this.captureRange && index >= this.captureRange[0] && index < this.captureRange[1]) {
+            this.captured.set(index, this.captureSnapshot());
+        }
+        
+        const pass = this.pass;
+        Object.defineProperty(step, 'snapshot', {
+            get: () => this.snapshotAt(pass, index),
+            configurable: true
+        });
+        this.steps.push(step);
+    }
+    
+    // Remember how a recorded pass starts: its method, arguments and the state it is about to change
+    beginPass(method, args) {
+        this.pass = { method, args, state: this.copyPassState(this), snapshots: new Map() };
+    }
+    
+    // Own copies of everything a pass changes in place; settings and layer sizes are shared
+    copyPassState(source) {
+        return Object.assign({}, source, {
+            weights: this.copyState(source.weights),
+            biases: this.copyState(source.biases),
+            previousWeights: this.copyState(source.previousWeights),
+            previousBiases: this.copyState(source.previousBiases),
+            batchWeightGradients: this.copyState(source.batchWeightGradients),
+            batchBiasGradients: this.copyState(source.batchBiasGradients),
+            optimizerState: this.copyState(source.optimizerState),
+            steps: [],
+            pass: null
+        });
+    }
+    
+    // Snapshot after step `index` of a pass: replay the pass on a copy of its starting state and keep
+    // the snapshots around `index`, so sequential playback replays once per window rather than once per step
+    snapshotAt(pass, index) {
+        if (!pass.snapshots.has(index)) {
+            const replica = Object.assign(Object.create(NeuralNetwork.prototype), this.copyPassState(pass.state));
+            const start = Math.max(0, index - NeuralNetwork.SNAPSHOT_WINDOW / 4);
+            replica.captureRange = [start, start + NeuralNetwork.SNAPSHOT_WINDOW];
+            replica.captured = new Map();
+            replica[pass.method](...pass.args);
+            pass.snapshots = replica.captured;
+        }
+        return pass.snapshots.get(index);
+    }
+    
+    captureSnapshot() {
+        return Object.freeze({
+            weights: this.freezeCopy(this.weights),
+            biases: this.freezeCopy(this.biases),
+            previousWeights: this.freezeCopy(this.previousWeights),
+            previousBiases: this.freezeCopy(this.previousBiases),
+            activations: this.freezeCopy(this.activations),
+            preActivations: this.freezeCopy(this.preActivations),
+            deltas: this.freezeCopy(this.deltas),
+            weightGradients: this.freezeCopy(this.weightGradients),
+            biasGradients: this.freezeCopy(this.biasGradients),
+            batchWeightGradients: this.freezeCopy(this.batchWeightGradients),
+            batchBiasGradients: this.freezeCopy(this.batchBiasGradients),
+            batchCount: this.batchCount
+        });
+    }
+    
+    // Deep copy of nested number arrays
+    freezeCopy(value) {
+        return Array.isArray(value) ? Object.freeze(value.map(item => this.freezeCopy(item))) : value;
+    }
+    
+    // Deep copy of nested arrays and plain objects (e.g. optimizer state); unlike JSON it keeps NaN and Infinity
+    copyState(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.copyState(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.copyState(item)]));
+        }
+        return value;
+    }
+    
+    // The network as it stood at a snapshot: reads see the snapshot's state, methods are shared with the live network
+    viewAt(snapshot) {
+        return Object.assign(Object.create(this), snapshot);
     }
     
     // Get current step
@@ -373,18 +839,40 @@ class NeuralNetwork {
             preActivations: this.preActivations,
             deltas: this.deltas,
             weightGradients: this.weightGradients,
-            previousWeights: this.previousWeights
+            biasGradients: this.biasGradients,
+            batchWeightGradients: this.batchWeightGradients,
+            batchBiasGradients: this.batchBiasGradients,
+            batchCount: this.batchCount,
+            batchSize: this.batchSize,
+            previousWeights: this.previousWeights,
+            previousBiases: this.previousBiases,
+            classNames: this.classNames,
+            layerActivations: this.weights.map((_, l) => this.getLayerActivationName(l))
         };
     }
     
-    // Train on a single example
-    train(input, target) {
+    // Train on a single example; endOfBatch applies a partially filled batch (e.g. at the end of an epoch)
+    train(input, target, endOfBatch = false) {
         this.resetSteps();
+        this.beginPass('train', [input.slice(), target, endOfBatch]);
         const output = this.forward(input);
-        const result = this.backward(target);
+        const result = this.backward(target, endOfBatch);
         return { ...result, steps: this.steps };
     }
     
+    // Inference only: forward pass without backward, so weights, biases, previous values and optimizer state are untouched.
+    // recordSteps keeps the forward steps for animation; otherwise steps is empty
+    predict(input, recordSteps = false) {
+        this.resetSteps();
+        if (!recordSteps) {
+            this.steps = [];
+            return { output: this.computeActivations(input), steps: this.steps };
+        }
+        this.beginPass('predict', [input.slice(), true]);
+        const output = this.forward(input);
+        return { output, steps: this.steps };
+    }
+    
     // Get weight change between previous and current
     getWeightChange(layerIndex, toNeuron, fromNeuron) {
         if (this.previousWeights[layerIndex] && this.weights[layerIndex]) {
@@ -394,7 +882,17 @@ class NeuralNetwork {
         }
         return 0;
     }
+    
+    getBiasChange(layerIndex, neuron) {
+        if (this.previousBiases[layerIndex] && this.biases[layerIndex]) {
+            return this.biases[layerIndex][neuron] - this.previousBiases[layerIndex][neuron];
+        }
+        return 0;
+    }
 }
 
+// Steps captured per replay when a snapshot is rebuilt
+NeuralNetwork.SNAPSHOT_WINDOW = 16;
+
 // Export for use
 window.NeuralNetwork = NeuralNetwork;
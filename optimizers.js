@@ -0,0 +1,97 @@
+/**
+ * NN-Model Visualizer - Optimizers
+ * Per-weight update rules with their state (velocity, moment estimates) and the formulas shown in the step trace
+ *
+ * Each entry: createState() → per-weight state, update(state, g, lr, t) → Δw (mutates state),
+ * describe(step) → the update with a weight_update or bias_update step's values substituted.
+ * t is the 1-based count of updates applied so far, used by Adam's bias correction.
+ */
+
+const OPTIMIZER_EPSILON = 1e-8;
+
+// Parameter value before the update, for weight_update and bias_update steps alike
+const optimizerOldValue = (step) => (step.type === 'bias_update' ? step.oldBias : step.oldWeight);
+
+// Learning rate as shown beside the schedule (scheduled rates have long fractions)
+const optimizerRate = (step) => Number(step.learningRate.toFixed(4));
+
+const Optimizers = {
+    sgd: {
+        name: 'SGD',
+        formula: ['w = w - η·g'],
+        createState: () => ({}),
+        update: (state, g, lr) => -lr * g,
+        describe: (step) => `${optimizerOldValue(step).toFixed(4)} - ${optimizerRate(step)}×${step.gradient.toFixed(4)}`
+    },
+
+    momentum: {
+        name: 'Momentum',
+        momentum: 0.9,
+        formula: ['v = μ·v + g', 'w = w - η·v'],
+        createState: () => ({ velocity: 0 }),
+        update: (state, g, lr) => {
+            state.velocity = Optimizers.momentum.momentum * state.velocity + g;
+            return -lr * state.velocity;
+        },
+        describe: (step) => `v = ${step.optimizerState.velocity.toFixed(4)} → ${optimizerOldValue(step).toFixed(3)} - ${optimizerRate(step)}×${step.optimizerState.velocity.toFixed(4)}`
+    },
+
+    nesterov: {
+        name: 'Nesterov',
+        momentum: 0.9,
+        // Look-ahead form: the step uses the gradient plus the already-updated velocity
+        formula: ['v = μ·v + g', 'w = w - η·(g + μ·v)'],
+        createState: () => ({ velocity: 0 }),
+        update: (state, g, lr) => {
+            const mu = Optimizers.nesterov.momentum;
+            state.velocity = mu * state.velocity + g;
+            return -lr * (g + mu * state.velocity);
+        },
+        describe: (step) => `v = ${step.optimizerState.velocity.toFixed(4)} → ${optimizerOldValue(step).toFixed(3)} - ${optimizerRate(step)}×(${step.gradient.toFixed(4)} + ${Optimizers.nesterov.momentum}×${step.optimizerState.velocity.toFixed(4)})`
+    },
+
+    adagrad: {
+        name: 'AdaGrad',
+        formula: ['G = G + g²', 'w = w - η·g / (√G + ε)'],
+        createState: () => ({ sumSquares: 0 }),
+        update: (state, g, lr) => {
+            state.sumSquares += g * g;
+            return -lr * g / (Math.sqrt(state.sumSquares) + OPTIMIZER_EPSILON);
+        },
+        describe: (step) => `G = ${step.optimizerState.sumSquares.toExponential(3)} → ${optimizerOldValue(step).toFixed(3)} - ${optimizerRate(step)}×${step.gradient.toFixed(4)}/√G`
+    },
+
+    rmsprop: {
+        name: 'RMSProp',
+        decay: 0.9,
+        formula: ['s = ρ·s + (1 - ρ)·g²', 'w = w - η·g / (√s + ε)'],
+        createState: () => ({ meanSquare: 0 }),
+        update: (state, g, lr) => {
+            const rho = Optimizers.rmsprop.decay;
+            state.meanSquare = rho * state.meanSquare + (1 - rho) * g * g;
+            return -lr * g / (Math.sqrt(state.meanSquare) + OPTIMIZER_EPSILON);
+        },
+        describe: (step) => `s = ${step.optimizerState.meanSquare.toExponential(3)} → ${optimizerOldValue(step).toFixed(3)} - ${optimizerRate(step)}×${step.gradient.toFixed(4)}/√s`
+    },
+
+    adam: {
+        name: 'Adam',
+        beta1: 0.9,
+        beta2: 0.999,
+        formula: ['m = β₁·m + (1 - β₁)·g', 'v = β₂·v + (1 - β₂)·g²', 'w = w - η·m̂ / (√v̂ + ε)'],
+        createState: () => ({ m: 0, v: 0, mHat: 0, vHat: 0 }),
+        update: (state, g, lr, t) => {
+            const { beta1, beta2 } = Optimizers.adam;
+            state.m = beta1 * state.m + (1 - beta1) * g;
+            state.v = beta2 * state.v + (1 - beta2) * g * g;
+            // Bias correction: early moments are pulled towards their zero initialisation
+            state.mHat = state.m / (1 - Math.pow(beta1, t));
+            state.vHat = state.v / (1 - Math.pow(beta2, t));
+            return -lr * state.mHat / (Math.sqrt(state.vHat) + OPTIMIZER_EPSILON);
+        },
+        describe: (step) => `m̂ = ${step.optimizerState.mHat.toFixed(4)}, v̂ = ${step.optimizerState.vHat.toExponential(3)} → ${optimizerOldValue(step).toFixed(3)} - ${optimizerRate(step)}×m̂/√v̂`
+    }
+};
+
+// Export for use
+window.Optimizers = Optimizers;
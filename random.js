@@ -0,0 +1,80 @@
+/**
+ * NN-Model Visualizer - Seeded Random Number Generator
+ * Deterministic PRNG so weights, samples and shuffles can be reproduced from a seed
+ */
+
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed === undefined ? SeededRandom.randomSeed() : seed);
+    }
+
+    // Pick a fresh seed from the platform RNG (used when the user asks for a new one)
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    // Accept numbers or arbitrary strings and reduce them to an unsigned 32-bit integer
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        const str = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Restart the sequence from the current seed
+    reset() {
+        this.state = this.seed;
+    }
+
+    // Mulberry32: uniform float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Uniform float in [min, max)
+    uniform(min = 0, max = 1) {
+        return min + this.next() * (max - min);
+    }
+
+    // Uniform integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    // Standard normal sample (Box-Muller)
+    gaussian(mean = 0, std = 1) {
+        let u = 0;
+        while (u === 0) u = this.next();
+        const v = this.next();
+        return mean + std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // In-place Fisher-Yates shuffle
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+// Export for use
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,182 @@
+/**
+ * NN-Model Visualizer - Step Timeline
+ * Scrubber over one training pass's steps, segmented by phase, with click-to-seek, drag scrubbing and phase jumps
+ */
+
+class StepTimeline {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+
+        // Timeline segment for each step type
+        this.phaseOf = {
+            input: 'input',
+            forward_neuron: 'forward',
+            forward_layer_complete: 'forward',
+            loss: 'loss',
+            backward_delta: 'delta',
+            accumulate_gradient: 'update',
+            batch_update: 'update',
+            weight_update: 'update',
+            bias_update: 'update',
+            complete: 'update'
+        };
+        this.phaseNames = {
+            input: 'Input',
+            forward: 'Forward',
+            loss: 'Loss',
+            delta: 'Delta',
+            update: 'Update'
+        };
+
+        this.steps = [];
+        this.segments = [];
+        this.position = -1;
+        this.dragging = false;
+
+        // Called with a step index when the user clicks or drags the timeline
+        this.onSeek = null;
+
+        this.track = document.createElement('div');
+        this.track.className = 'timeline-track';
+        this.playhead = document.createElement('div');
+        this.playhead.className = 'timeline-playhead';
+        this.container.appendChild(this.track);
+        this.container.appendChild(this.playhead);
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'tooltip';
+        this.tooltip.innerHTML = '<div class="tooltip-title"></div><div class="tooltip-content"></div>';
+        document.body.appendChild(this.tooltip);
+
+        this.setupInteractions();
+        this.render();
+    }
+
+    // Show a new trace; the playhead goes back before the first step
+    setSteps(steps) {
+        this.steps = steps || [];
+        this.segments = this.buildSegments(this.steps);
+        this.position = -1;
+        this.render();
+    }
+
+    setPosition(index) {
+        this.position = index;
+        this.updatePlayhead();
+    }
+
+    getPhase(step) {
+        return this.phaseOf[step.type] || 'update';
+    }
+
+    // Runs of consecutive steps in the same phase: [{ phase, start, end }] with end exclusive
+    buildSegments(steps) {
+        const segments = [];
+        steps.forEach((step, i) => {
+            const phase = this.getPhase(step);
+            const last = segments[segments.length - 1];
+            if (last && last.phase === phase) {
+                last.end = i + 1;
+            } else {
+                segments.push({ phase, start: i, end: i + 1 });
+            }
+        });
+        return segments;
+    }
+
+    // First step of the next phase, or the start of the current phase (the previous one if already there)
+    getPhaseBoundary(index, direction) {
+        if (!this.segments.length) return -1;
+
+        if (direction > 0) {
+            const next = this.segments.find(segment => segment.start > index);
+            return next ? next.start : this.steps.length - 1;
+        }
+
+        const starts = this.segments.map(segment => segment.start).filter(start => start < index);
+        return starts.length ? starts[starts.length - 1] : 0;
+    }
+
+    render() {
+        this.track.innerHTML = '';
+        this.container.classList.toggle('timeline-empty', this.steps.length === 0);
+
+        this.segments.forEach(segment => {
+            const el = document.createElement('div');
+            el.className = `timeline-segment timeline-${segment.phase}`;
+            el.style.flexGrow = segment.end - segment.start;
+            el.textContent = this.phaseNames[segment.phase];
+            this.track.appendChild(el);
+        });
+
+        this.updatePlayhead();
+    }
+
+    updatePlayhead() {
+        const total = this.steps.length;
+        const visible = total > 0 && this.position >= 0;
+        this.playhead.style.display = visible ? '' : 'none';
+        if (visible) {
+            this.playhead.style.left = `${((this.position + 0.5) / total) * 100}%`;
+        }
+    }
+
+    // Step index under the mouse
+    indexAt(e) {
+        const rect = this.track.getBoundingClientRect();
+        if (rect.width === 0 || !this.steps.length) return -1;
+        const fraction = Math.max(0, Math.min(0.9999, (e.clientX - rect.left) / rect.width));
+        return Math.floor(fraction * this.steps.length);
+    }
+
+    seek(e) {
+        const index = this.indexAt(e);
+        if (index < 0 || index === this.position) return;
+        this.setPosition(index);
+        if (this.onSeek) {
+            this.onSeek(index);
+        }
+    }
+
+    setupInteractions() {
+        // Click seeks; holding the button scrubs
+        this.container.addEventListener('mousedown', (e) => {
+            if (!this.steps.length) return;
+            e.preventDefault();
+            this.dragging = true;
+            this.container.classList.add('scrubbing');
+            this.seek(e);
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragging) {
+                this.seek(e);
+            }
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.dragging = false;
+            this.container.classList.remove('scrubbing');
+        });
+
+        // Hover readout: step number and description
+        this.container.addEventListener('mousemove', (e) => {
+            const index = this.indexAt(e);
+            if (index < 0) return;
+            const step = this.steps[index];
+            this.tooltip.querySelector('.tooltip-title').textContent =
+                `Step ${index + 1} / ${this.steps.length} · ${this.phaseNames[this.getPhase(step)]}`;
+            this.tooltip.querySelector('.tooltip-content').textContent = step.description;
+            this.tooltip.style.left = `${e.clientX + 15}px`;
+            this.tooltip.style.top = `${e.clientY - 10}px`;
+            this.tooltip.classList.add('visible');
+        });
+
+        this.container.addEventListener('mouseleave', () => {
+            this.tooltip.classList.remove('visible');
+        });
+    }
+}
+
+// Export for use
+window.StepTimeline = StepTimeline;
@@ -0,0 +1,370 @@
+/**
+ * NN-Model Visualizer - Training Chart
+ * SVG plot of per-sample loss, per-epoch mean loss and accuracy, with wheel zoom, drag pan and hover readouts
+ */
+
+class TrainingChart {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.svgNS = 'http://www.w3.org/2000/svg';
+        this.svg = document.createElementNS(this.svgNS, 'svg');
+        this.svg.setAttribute('class', 'chart-svg');
+        this.container.appendChild(this.svg);
+
+        // Layout configuration
+        this.config = {
+            width: 600,
+            height: 180,
+            padding: { top: 12, right: 44, bottom: 24, left: 52 },
+            minZoomSpan: 5
+        };
+
+        // One color per series; matches the legend in index.html
+        this.colors = {
+            sampleLoss: 'rgba(0, 212, 255, 0.35)',
+            epochLoss: '#00d4ff',
+            validationLoss: '#f97316',
+            accuracy: '#10b981',
+            validationAccuracy: '#fbbf24',
+            grid: 'rgba(255, 255, 255, 0.08)'
+        };
+
+        // Recorded history; x is the running sample count across all runs
+        this.samples = [];
+        this.epochs = [];
+        // Samples counted so far, including restored ones skipped for a non-finite loss
+        this.sampleCount = 0;
+
+        // Visible x-range while zoomed, null to show everything
+        this.view = null;
+        this.hoverX = null;
+        this.dragStart = null;
+
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'tooltip';
+        this.tooltip.innerHTML = '<div class="tooltip-title"></div><div class="tooltip-content"></div>';
+        document.body.appendChild(this.tooltip);
+
+        this.setupInteractions();
+        this.render();
+    }
+
+    // Forget the history (called when the network is rebuilt)
+    clear() {
+        this.samples = [];
+        this.epochs = [];
+        this.sampleCount = 0;
+        this.view = null;
+        this.hoverX = null;
+        this.hideTooltip();
+        this.render();
+    }
+
+    addSample(loss) {
+        this.sampleCount++;
+        this.samples.push({ x: this.sampleCount, loss, epoch: this.epochs.length + 1 });
+    }
+
+    // Epoch summary: { trainLoss, trainAccuracy, validationLoss, validationAccuracy } (nulls allowed)
+    addEpoch(entry) {
+        this.epochs.push({ ...entry, x: this.sampleCount, epoch: this.epochs.length + 1 });
+    }
+
+    // Plain copy of the history for model files: sample losses, and epoch summaries with the sample count they closed at
+    getHistory() {
+        const samples = Array(this.sampleCount).fill(null);
+        this.samples.forEach(s => {
+            samples[s.x - 1] = s.loss;
+        });
+        return {
+            samples,
+            epochs: this.epochs.map(({ epoch, ...entry }) => entry)
+        };
+    }
+
+    // Replace the history with one from getHistory(); positions come from the saved order,
+    // so a skipped (non-finite) loss leaves a gap instead of shifting every later point
+    setHistory({ samples = [], epochs = [] }) {
+        this.clear();
+        this.epochs = epochs
+            .filter(entry => entry && Number.isFinite(entry.x))
+            .sort((a, b) => a.x - b.x)
+            .map((entry, i) => ({ ...entry, epoch: i + 1 }));
+
+        let epoch = 1;
+        this.samples = samples
+            .map((loss, i) => {
+                // An epoch closing at x holds samples 1..x
+                while (epoch <= this.epochs.length && this.epochs[epoch - 1].x <= i) {
+                    epoch++;
+                }
+                return { x: i + 1, loss, epoch };
+            })
+            .filter(sample => Number.isFinite(sample.loss));
+        this.sampleCount = Math.max(samples.length, ...this.epochs.map(entry => entry.x));
+        this.render();
+    }
+
+    resetZoom() {
+        this.view = null;
+        this.render();
+    }
+
+    getRange() {
+        const total = Math.max(this.sampleCount, 2);
+        return this.view || { start: 1, end: total };
+    }
+
+    setupInteractions() {
+        // Wheel zooms the x-axis around the cursor
+        this.svg.addEventListener('wheel', (e) => {
+            if (this.samples.length < 2) return;
+            e.preventDefault();
+
+            const total = this.sampleCount;
+            const { start, end } = this.getRange();
+            const anchor = this.toDataX(this.toChartX(e));
+            const factor = e.deltaY < 0 ? 0.8 : 1.25;
+            const span = Math.max(this.config.minZoomSpan, (end - start) * factor);
+
+            if (span >= total - 1) {
+                this.view = null;
+            } else {
+                let newStart = anchor - (anchor - start) * (span / (end - start));
+                newStart = Math.max(1, Math.min(newStart, total - span));
+                this.view = { start: newStart, end: newStart + span };
+            }
+            this.render();
+        }, { passive: false });
+
+        // Drag pans a zoomed chart
+        this.svg.addEventListener('mousedown', (e) => {
+            if (!this.view) return;
+            this.dragStart = { x: this.toChartX(e), view: { ...this.view } };
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.dragStart = null;
+        });
+
+        this.svg.addEventListener('mousemove', (e) => {
+            const chartX = this.toChartX(e);
+
+            if (this.dragStart) {
+                const { view } = this.dragStart;
+                const shift = (this.dragStart.x - chartX) * (view.end - view.start) / this.plotWidth();
+                const span = view.end - view.start;
+                const start = Math.max(1, Math.min(view.start + shift, this.sampleCount - span));
+                this.view = { start, end: start + span };
+            }
+
+            this.hoverX = this.samples.length > 0 ? this.toDataX(chartX) : null;
+            this.render();
+            this.showReadout(e);
+        });
+
+        this.svg.addEventListener('mouseleave', () => {
+            this.hoverX = null;
+            this.hideTooltip();
+            this.render();
+        });
+
+        this.svg.addEventListener('dblclick', () => this.resetZoom());
+    }
+
+    // Mouse position in viewBox units
+    toChartX(e) {
+        const rect = this.svg.getBoundingClientRect();
+        return rect.width > 0 ? (e.clientX - rect.left) * (this.config.width / rect.width) : 0;
+    }
+
+    plotWidth() {
+        const { width, padding } = this.config;
+        return width - padding.left - padding.right;
+    }
+
+    plotHeight() {
+        const { height, padding } = this.config;
+        return height - padding.top - padding.bottom;
+    }
+
+    toDataX(chartX) {
+        const { start, end } = this.getRange();
+        const t = (chartX - this.config.padding.left) / this.plotWidth();
+        return start + Math.max(0, Math.min(1, t)) * (end - start);
+    }
+
+    scaleX(x) {
+        const { start, end } = this.getRange();
+        return this.config.padding.left + ((x - start) / (end - start)) * this.plotWidth();
+    }
+
+    // Loss axis runs from 0 to the largest loss in view; accuracy axis is fixed at 0-100%
+    scaleLoss(loss, maxLoss) {
+        return this.config.padding.top + (1 - loss / maxLoss) * this.plotHeight();
+    }
+
+    scaleAccuracy(accuracy) {
+        return this.config.padding.top + (1 - accuracy) * this.plotHeight();
+    }
+
+    render() {
+        const width = this.container.clientWidth || this.config.width;
+        this.config.width = width;
+        const { height, padding } = this.config;
+
+        this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.svg.innerHTML = '';
+
+        if (this.samples.length === 0) {
+            this.drawText(width / 2, height / 2, 'Run epoch training to plot loss and accuracy', 'middle', 'chart-empty');
+            return;
+        }
+
+        const { start, end } = this.getRange();
+        const visibleSamples = this.samples.filter(s => s.x >= Math.floor(start) && s.x <= Math.ceil(end));
+        const visibleEpochs = this.epochs.filter(e => e.x >= start && e.x <= end);
+
+        const lossValues = visibleSamples.map(s => s.loss)
+            .concat(visibleEpochs.map(e => e.validationLoss).filter(v => v !== null && v !== undefined));
+        const maxLoss = Math.max(...lossValues, 1e-6) * 1.1;
+
+        this.drawAxes(start, end, maxLoss);
+
+        const clip = document.createElementNS(this.svgNS, 'clipPath');
+        clip.setAttribute('id', 'chart-clip');
+        clip.innerHTML = `<rect x="${padding.left}" y="${padding.top}" width="${this.plotWidth()}" height="${this.plotHeight()}"/>`;
+        this.svg.appendChild(clip);
+
+        // Per-sample loss underneath, epoch summaries on top
+        this.drawSeries(visibleSamples, s => s.loss, this.colors.sampleLoss, false, maxLoss);
+        this.drawSeries(this.epochs, e => e.trainLoss, this.colors.epochLoss, false, maxLoss, true);
+        this.drawSeries(this.epochs, e => e.validationLoss, this.colors.validationLoss, true, maxLoss, true);
+        this.drawSeries(this.epochs, e => e.trainAccuracy, this.colors.accuracy, false, null, true);
+        this.drawSeries(this.epochs, e => e.validationAccuracy, this.colors.validationAccuracy, true, null, true);
+
+        // Hover guide
+        if (this.hoverX !== null) {
+            const x = this.scaleX(Math.round(this.hoverX));
+            this.drawLine(x, padding.top, x, height - padding.bottom, 'rgba(255, 255, 255, 0.35)', 1, '3,3');
+        }
+    }
+
+    drawAxes(start, end, maxLoss) {
+        const { width, height, padding } = this.config;
+
+        // Horizontal grid with loss labels on the left and accuracy labels on the right
+        for (let i = 0; i <= 4; i++) {
+            const t = i / 4;
+            const y = padding.top + (1 - t) * this.plotHeight();
+            this.drawLine(padding.left, y, width - padding.right, y, this.colors.grid, 1);
+            this.drawText(padding.left - 6, y + 3, this.formatLoss(t * maxLoss), 'end');
+            if (this.hasAccuracy()) {
+                this.drawText(width - padding.right + 6, y + 3, `${Math.round(t * 100)}%`, 'start');
+            }
+        }
+
+        // Sample ticks along the bottom
+        const span = end - start;
+        const step = Math.max(1, Math.ceil(span / 6));
+        for (let x = Math.ceil(start); x <= end; x += step) {
+            this.drawText(this.scaleX(x), height - padding.bottom + 14, String(x), 'middle');
+        }
+
+        // Epoch boundaries
+        this.epochs.forEach(e => {
+            if (e.x < start || e.x > end) return;
+            const x = this.scaleX(e.x);
+            this.drawLine(x, padding.top, x, height - padding.bottom, this.colors.grid, 1, '2,4');
+        });
+    }
+
+    hasAccuracy() {
+        return this.epochs.some(e => e.trainAccuracy !== null && e.trainAccuracy !== undefined);
+    }
+
+    // Polyline for one series; points without a value are skipped
+    drawSeries(points, getValue, color, dashed, maxLoss, markers = false) {
+        const coords = points
+            .filter(p => getValue(p) !== null && getValue(p) !== undefined)
+            .map(p => [this.scaleX(p.x), maxLoss === null ? this.scaleAccuracy(getValue(p)) : this.scaleLoss(getValue(p), maxLoss)]);
+        if (coords.length === 0) return;
+
+        const line = document.createElementNS(this.svgNS, 'polyline');
+        line.setAttribute('points', coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', markers ? 2 : 1);
+        line.setAttribute('clip-path', 'url(#chart-clip)');
+        if (dashed) line.setAttribute('stroke-dasharray', '5,3');
+        this.svg.appendChild(line);
+
+        if (markers) {
+            coords.forEach(([x, y]) => {
+                const dot = document.createElementNS(this.svgNS, 'circle');
+                dot.setAttribute('cx', x);
+                dot.setAttribute('cy', y);
+                dot.setAttribute('r', 3);
+                dot.setAttribute('fill', color);
+                dot.setAttribute('clip-path', 'url(#chart-clip)');
+                this.svg.appendChild(dot);
+            });
+        }
+    }
+
+    drawLine(x1, y1, x2, y2, color, width, dash = null) {
+        const line = document.createElementNS(this.svgNS, 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', width);
+        if (dash) line.setAttribute('stroke-dasharray', dash);
+        this.svg.appendChild(line);
+    }
+
+    drawText(x, y, text, anchor, className = 'chart-axis-label') {
+        const label = document.createElementNS(this.svgNS, 'text');
+        label.setAttribute('x', x);
+        label.setAttribute('y', y);
+        label.setAttribute('text-anchor', anchor);
+        label.setAttribute('class', className);
+        label.textContent = text;
+        this.svg.appendChild(label);
+    }
+
+    formatLoss(value) {
+        return value >= 100 ? value.toFixed(0) : value >= 1 ? value.toFixed(2) : value.toFixed(3);
+    }
+
+    // Readout for the hovered sample and the epoch it belongs to
+    showReadout(e) {
+        if (this.hoverX === null) return;
+
+        const sample = this.samples.find(s => s.x === Math.round(this.hoverX));
+        if (!sample) return;
+        const epoch = this.epochs.find(entry => entry.x >= sample.x);
+
+        const rows = [`Loss: ${sample.loss.toFixed(6)}`];
+        if (epoch) {
+            if (epoch.trainLoss !== null) rows.push(`Epoch mean loss: ${epoch.trainLoss.toFixed(6)}`);
+            if (epoch.trainAccuracy !== null) rows.push(`Accuracy: ${(epoch.trainAccuracy * 100).toFixed(1)}%`);
+            if (epoch.validationLoss !== null) rows.push(`Val loss: ${epoch.validationLoss.toFixed(6)}`);
+            if (epoch.validationAccuracy !== null) rows.push(`Val accuracy: ${(epoch.validationAccuracy * 100).toFixed(1)}%`);
+        }
+
+        this.tooltip.querySelector('.tooltip-title').textContent = `Sample ${sample.x} · Epoch ${sample.epoch}`;
+        this.tooltip.querySelector('.tooltip-content').innerHTML = rows.join('<br>');
+        this.tooltip.style.left = `${e.clientX + 15}px`;
+        this.tooltip.style.top = `${e.clientY - 10}px`;
+        this.tooltip.classList.add('visible');
+    }
+
+    hideTooltip() {
+        this.tooltip.classList.remove('visible');
+    }
+}
+
+// Export for use
+window.TrainingChart = TrainingChart;
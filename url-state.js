@@ -0,0 +1,133 @@
+/**
+ * NN-Model Visualizer - Shareable Links
+ * Encodes the architecture, hyperparameters, dataset, seed and optionally the weights in the URL hash
+ *
+ * Hash: #v=1&layers=2-4-4-1&act=sigmoid&layerAct=relu,&task=classification&loss=mse&lr=0.5&opt=sgd
+ *       &data=xor&seed=42&batch=mini&bs=4[&classes=a&classes=b&classes=c][&w=<base64url float32 weights then biases>]
+ * layerAct lists per-hidden-layer overrides, empty for layers using act. classes repeats once per name,
+ * so names may contain commas; older links joined them into one comma-separated value.
+ * batch is the batch mode (stochastic, mini or full); bs is the mini-batch size.
+ */
+
+class UrlState {
+    // Hash (without '#') for a network; extras are app-level settings: { learningRate, seed, dataset, batchMode, includeWeights }
+    static encode(network, extras = {}) {
+        const params = new URLSearchParams();
+        params.set('v', UrlState.VERSION);
+        params.set('layers', network.layers.join('-'));
+        params.set('act', network.activationFunction);
+        if (network.layerActivations.some(key => key !== network.activationFunction)) {
+            params.set('layerAct', network.layerActivations
+                .map(key => (key === network.activationFunction ? '' : key))
+                .join(','));
+        }
+        params.set('task', network.task);
+        params.set('loss', network.lossFunction);
+        params.set('lr', extras.learningRate || network.learningRate);
+        params.set('opt', network.optimizer);
+        params.set('data', extras.dataset);
+        params.set('seed', extras.seed);
+        if (extras.batchMode) {
+            params.set('batch', extras.batchMode);
+            if (extras.batchMode === 'mini') {
+                params.set('bs', network.batchSize);
+            }
+        }
+        network.classNames.forEach(name => params.append('classes', name));
+        if (extras.includeWeights) {
+            params.set('w', UrlState.packParameters(network.weights, network.biases));
+        }
+        return params.toString();
+    }
+
+    // { config, layerSizes, weights?, biases? } from a location hash, or null when the hash holds no network
+    static decode(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        if (!params.has('layers')) return null;
+
+        const version = parseInt(params.get('v')) || 1;
+        if (version > UrlState.VERSION) {
+            throw new Error(`Link version ${version} is newer than this app supports (version ${UrlState.VERSION})`);
+        }
+
+        const layerSizes = params.get('layers').split('-').map(Number);
+        const hiddenCount = Math.max(0, layerSizes.length - 2);
+        const activationFunction = params.get('act') || 'sigmoid';
+        // Multi-class networks have at least two names, so a single value is an older comma-joined list
+        const classes = params.getAll('classes');
+        const config = {
+            task: params.get('task') || 'classification',
+            classNames: classes.length === 1 ? classes[0].split(',') : classes,
+            activationFunction,
+            layerActivations: params.has('layerAct')
+                ? params.get('layerAct').split(',').map(key => key || activationFunction)
+                : Array(hiddenCount).fill(activationFunction),
+            lossFunction: params.get('loss') || 'mse',
+            learningRate: parseFloat(params.get('lr')) || 0.5,
+            optimizer: params.get('opt') || 'sgd',
+            dataset: params.get('data') || undefined,
+            seed: params.has('seed') ? parseInt(params.get('seed')) : undefined,
+            batchMode: params.get('batch') || undefined,
+            batchSize: params.get('batch') === 'stochastic' ? 1 : (params.has('bs') ? parseInt(params.get('bs')) : undefined)
+        };
+        if (config.seed !== undefined && !Number.isInteger(config.seed)) {
+            throw new Error(`Link has an invalid seed "${params.get('seed')}"`);
+        }
+        ModelFile.validateArchitecture(config, layerSizes);
+
+        const state = { config, layerSizes };
+        if (params.has('w')) {
+            Object.assign(state, UrlState.unpackParameters(params.get('w'), layerSizes));
+        }
+        return state;
+    }
+
+    // Every weight, then every bias, as little-endian float32 in base64url
+    static packParameters(weights, biases) {
+        const values = [...weights.flat(2), ...biases.flat()];
+        const view = new DataView(new ArrayBuffer(values.length * 4));
+        values.forEach((value, i) => view.setFloat32(i * 4, value, true));
+
+        let binary = '';
+        new Uint8Array(view.buffer).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static unpackParameters(text, layerSizes) {
+        let binary;
+        try {
+            binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (e) {
+            throw new Error('Link weights are not valid base64');
+        }
+
+        const numWeights = layerSizes.slice(1).reduce((sum, size, l) => sum + size * layerSizes[l], 0);
+        const numBiases = layerSizes.slice(1).reduce((sum, size) => sum + size, 0);
+        const expected = numWeights + numBiases;
+        if (binary.length !== expected * 4) {
+            throw new Error(`Link weights hold ${Math.floor(binary.length / 4)} values, but ${layerSizes.join(' → ')} needs ${expected}`);
+        }
+
+        const view = new DataView(new ArrayBuffer(binary.length));
+        for (let i = 0; i < binary.length; i++) {
+            view.setUint8(i, binary.charCodeAt(i));
+        }
+        let offset = 0;
+        const next = () => view.getFloat32(4 * offset++, true);
+
+        const weights = layerSizes.slice(1).map((size, l) =>
+            Array.from({ length: size }, () => Array.from({ length: layerSizes[l] }, next)));
+        const biases = layerSizes.slice(1).map(size => Array.from({ length: size }, next));
+        if (![...weights.flat(2), ...biases.flat()].every(Number.isFinite)) {
+            throw new Error('Link weights contain a non-finite value');
+        }
+        return { weights, biases };
+    }
+}
+
+UrlState.VERSION = 1;
+
+// Export for use
+window.UrlState = UrlState;
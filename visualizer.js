@@ -9,6 +9,16 @@ class NetworkVisualizer {
         this.svg = document.getElementById('network-svg');
         this.network = null;
         
+        // Hidden-neuron feature maps: click handler, selected neuron, and the thumbnail source for in-circle maps
+        this.onNeuronSelect = null;
+        this.selectedNeuron = null;
+        this.showFeatureMaps = false;
+        this.featureMapProvider = null;
+        
+        // Manual weight edits by dragging an edge: callback (layer, toNeuron, fromNeuron, weight, finished)
+        this.onWeightDrag = null;
+        this.weightDrag = null;
+        
         // Layout configuration
         this.config = {
             neuronRadius: 24,
@@ -16,7 +26,10 @@ class NetworkVisualizer {
             neuronSpacing: 70,
             padding: 80,
             connectionWidth: { min: 0.5, max: 4 },
-            animationDuration: 600
+            animationDuration: 600,
+            // Weight change per pixel dragged along an edge, and the step edited weights snap to
+            weightDragRate: 0.02,
+            weightDragSnap: 0.01
         };
         
         // Color scheme
@@ -34,6 +47,7 @@ class NetworkVisualizer {
         // State
         this.neuronElements = [];
         this.connectionElements = [];
+        this.biasElements = [];
         this.signals = [];
         this.tooltip = null;
         this.weightTooltip = null;
@@ -44,6 +58,7 @@ class NetworkVisualizer {
         this.createWeightTooltip();
         this.createComputationBox();
         this.setupResizeObserver();
+        this.setupWeightDrag();
     }
     
     createTooltip() {
@@ -89,6 +104,34 @@ class NetworkVisualizer {
         this.weightTooltip.classList.remove('visible');
     }
     
+    // Window-level listeners, so a drag keeps going while the edge is re-rendered under the cursor
+    setupWeightDrag() {
+        window.addEventListener('mousemove', (e) => {
+            const drag = this.weightDrag;
+            if (!drag) return;
+            
+            const along = (e.clientX - drag.startX) * drag.dirX + (e.clientY - drag.startY) * drag.dirY;
+            const snap = this.config.weightDragSnap;
+            const weight = Math.round((drag.startWeight + along * this.config.weightDragRate) / snap) * snap;
+            drag.weight = weight;
+            this.onWeightDrag(drag.layer, drag.to, drag.from, weight, false);
+            this.showWeightTooltip(e.clientX, e.clientY, weight, drag.layer, drag.from, drag.to);
+        });
+        
+        window.addEventListener('mouseup', () => {
+            const drag = this.weightDrag;
+            if (!drag) return;
+            
+            this.weightDrag = null;
+            document.body.classList.remove('dragging-weight');
+            this.hideWeightTooltip();
+            // A click without movement leaves the weight alone
+            if (drag.weight !== undefined) {
+                this.onWeightDrag(drag.layer, drag.to, drag.from, drag.weight, true);
+            }
+        });
+    }
+    
     createComputationBox() {
         this.computationBox = document.createElement('div');
         this.computationBox.className = 'computation-box';
@@ -156,7 +199,8 @@ class NetworkVisualizer {
     }
     
     // Show computation box near a neuron
-    showComputationBox(layer, neuron, content, phase = 'forward') {
+    // plot: optional { activation, z, highlight: 'activation' | 'derivative' } appended as a curve plot
+    showComputationBox(layer, neuron, content, phase = 'forward', plot = null) {
         if (!this.neuronElements[layer] || !this.neuronElements[layer][neuron]) {
             return;
         }
@@ -172,7 +216,7 @@ class NetworkVisualizer {
         const svgRect = this.svg.getBoundingClientRect();
         
         this.computationBox.className = `computation-box ${phase}`;
-        this.computationBox.innerHTML = content;
+        this.computationBox.innerHTML = plot ? content + this.generateActivationPlot(plot) : content;
         
         // Position to the right of the neuron
         const boxX = svgRect.left + x + this.config.neuronRadius + 20;
@@ -220,8 +264,8 @@ class NetworkVisualizer {
                 <div class="comp-values"><strong>z = ${z.toFixed(4)}</strong></div>
             </div>
             <div class="comp-step">
-                <div class="comp-label">Activation</div>
-                <div class="comp-equation">a = σ(z)</div>
+                <div class="comp-label">Activation${Activations[step.activationFunction] ? ` (${Activations[step.activationFunction].name})` : ''}</div>
+                <div class="comp-equation">${this.getActivationFormula(step.activationFunction)}</div>
             </div>
             <div class="comp-result">
                 <div class="comp-result-label">Output Activation</div>
@@ -230,6 +274,59 @@ class NetworkVisualizer {
         `;
     }
     
+    // Small plot of f(z) and f'(z) with a marker at the neuron's z; softmax has no per-neuron curve
+    generateActivationPlot({ activation: name, z, highlight }) {
+        const activation = Activations[name];
+        if (!activation || z === undefined) return '';
+        
+        const width = 200;
+        const height = 80;
+        const pad = 6;
+        // Keep z inside the window, widening it for saturated neurons
+        const range = Math.min(12, Math.max(4, Math.ceil(Math.abs(z)) + 1));
+        
+        const zs = Array.from({ length: 61 }, (_, k) => -range + (2 * range * k) / 60);
+        const values = zs.map(x => activation.fn(x));
+        const derivatives = zs.map(x => activation.derivative(x));
+        const all = [...values, ...derivatives, 0];
+        const minY = Math.min(...all);
+        const maxY = Math.max(...all, minY + 1e-6);
+        
+        const toX = x => pad + ((x + range) / (2 * range)) * (width - 2 * pad);
+        const toY = y => height - pad - ((y - minY) / (maxY - minY)) * (height - 2 * pad);
+        const path = ys => zs.map((x, k) => `${toX(x).toFixed(1)},${toY(ys[k]).toFixed(1)}`).join(' ');
+        
+        const a = activation.fn(z);
+        const d = activation.derivative(z);
+        const isDerivative = highlight === 'derivative';
+        const markerX = toX(Math.max(-range, Math.min(range, z)));
+        
+        return `
+            <div class="comp-step activation-plot">
+                <div class="comp-label">${activation.name} at z = ${z.toFixed(4)}</div>
+                <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+                    <line x1="${pad}" y1="${toY(0)}" x2="${width - pad}" y2="${toY(0)}" class="plot-axis"/>
+                    <line x1="${toX(0)}" y1="${pad}" x2="${toX(0)}" y2="${height - pad}" class="plot-axis"/>
+                    <polyline points="${path(values)}" class="plot-curve ${isDerivative ? '' : 'highlighted'}"/>
+                    <polyline points="${path(derivatives)}" class="plot-derivative ${isDerivative ? 'highlighted' : ''}"/>
+                    <line x1="${markerX}" y1="${pad}" x2="${markerX}" y2="${height - pad}" class="plot-marker-line"/>
+                    <circle cx="${markerX}" cy="${toY(a)}" r="${isDerivative ? 2.5 : 4}" class="plot-point"/>
+                    <circle cx="${markerX}" cy="${toY(d)}" r="${isDerivative ? 4 : 2.5}" class="plot-point-derivative"/>
+                </svg>
+                <div class="plot-legend">
+                    <span class="plot-key ${isDerivative ? '' : 'highlighted'}">f(z) = ${a.toFixed(4)}</span>
+                    <span class="plot-key derivative ${isDerivative ? 'highlighted' : ''}">f'(z) = ${d.toFixed(4)}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    // Formula shown in the forward computation box for each activation
+    getActivationFormula(name) {
+        if (name === 'softmax') return 'a = eᶻ / Σ eᶻᵏ';
+        return (Activations[name] || Activations.sigmoid).formula;
+    }
+    
     // Generate backward pass equation HTML for weight update
     generateWeightUpdateEquation(step, learningRate) {
         const oldWeight = step.oldWeight;
@@ -259,11 +356,27 @@ class NetworkVisualizer {
     // Generate delta computation equation
     generateDeltaEquation(step, isOutput = false) {
         if (isOutput) {
+            const lossFn = LossFunctions[step.lossFunction];
+            const formula = OutputDeltaFormulas[step.outputActivation](lossFn);
+            const cancels = lossFn.cancelsWith === step.outputActivation;
+            let chainValues = '';
+            if (cancels) {
+                chainValues = `${step.output.toFixed(4)} - ${step.targetValue}`;
+            } else if (step.activationDerivative !== undefined) {
+                chainValues = `${step.lossGradient.toFixed(4)} × ${step.activationDerivative.toFixed(4)}`;
+            }
+            
             return `
-                <div class="comp-title">Output Delta Computation</div>
+                <div class="comp-title">Output Delta${step.className ? ` - ${escapeHtml(step.className)}` : ''}</div>
+                <div class="comp-step">
+                    <div class="comp-label">Loss Gradient (${lossFn.shortName})</div>
+                    <div class="comp-equation">${lossFn.derivativeFormula}</div>
+                    <div class="comp-values">${step.lossGradient.toFixed(6)}</div>
+                </div>
                 <div class="comp-step">
-                    <div class="comp-label">Error Signal</div>
-                    <div class="comp-equation">δ = (output - target) × σ'(z)</div>
+                    <div class="comp-label">${cancels ? 'Simplified Chain Rule' : 'Chain Rule'}</div>
+                    <div class="comp-equation">${formula}</div>
+                    ${chainValues ? `<div class="comp-values">${chainValues}</div>` : ''}
                 </div>
                 <div class="comp-result">
                     <div class="comp-result-label">Delta (δ)</div>
@@ -271,11 +384,22 @@ class NetworkVisualizer {
                 </div>
             `;
         } else {
+            const activation = Activations[step.activationFunction] || Activations.sigmoid;
             return `
                 <div class="comp-title">Hidden Layer Delta</div>
                 <div class="comp-step">
                     <div class="comp-label">Backpropagated Error</div>
-                    <div class="comp-equation">δ = Σ(δₙₑₓₜ × w) × σ'(z)</div>
+                    <div class="comp-equation">Σ(δₙₑₓₜ × w)</div>
+                    <div class="comp-values">${step.deltaSum.toFixed(6)}</div>
+                </div>
+                <div class="comp-step">
+                    <div class="comp-label">${activation.name} Derivative</div>
+                    <div class="comp-equation">${activation.derivativeFormula}</div>
+                    <div class="comp-values">z = ${step.z.toFixed(4)} → ${step.activationDerivative.toFixed(4)}</div>
+                </div>
+                <div class="comp-step">
+                    <div class="comp-label">Chain Rule</div>
+                    <div class="comp-equation">δ = Σ(δₙₑₓₜ × w) × ${activation.shortName}'(z)</div>
                 </div>
                 <div class="comp-result">
                     <div class="comp-result-label">Delta (δ)</div>
@@ -287,6 +411,16 @@ class NetworkVisualizer {
     
     // Generate loss computation equation
     generateLossEquation(step) {
+        if (Array.isArray(step.output)) {
+            return this.generateMultiClassLossEquation(step);
+        }
+        
+        const lossFn = LossFunctions[step.lossFunction];
+        
+        if (step.task === 'regression') {
+            return this.generateRegressionLossEquation(step, lossFn);
+        }
+        
         return `
             <div class="comp-title">Loss Calculation</div>
             <div class="comp-step">
@@ -303,8 +437,108 @@ class NetworkVisualizer {
                 <div class="comp-values">${step.error.toFixed(4)}</div>
             </div>
             <div class="comp-step">
-                <div class="comp-label">Mean Squared Error</div>
-                <div class="comp-equation">L = ½ × error²</div>
+                <div class="comp-label">${lossFn.name}</div>
+                <div class="comp-equation">${lossFn.formula}</div>
+                <div class="comp-values">${lossFn.describe(step.output, step.target)}</div>
+            </div>
+            <div class="comp-result">
+                <div class="comp-result-label">Loss</div>
+                <div class="comp-result-value">${step.loss.toFixed(6)}</div>
+            </div>
+        `;
+    }
+    
+    // Mini-batch boxes: gradient accumulation and the averaged update
+    generateBatchEquation(step) {
+        if (step.type === 'accumulate_gradient') {
+            return `
+                <div class="comp-title">Accumulate Gradient</div>
+                <div class="comp-step">
+                    <div class="comp-label">This Sample</div>
+                    <div class="comp-equation">‖∂L/∂w‖</div>
+                    <div class="comp-values">${step.sampleGradientNorm.toFixed(6)}</div>
+                </div>
+                <div class="comp-step">
+                    <div class="comp-label">Running Batch Total</div>
+                    <div class="comp-equation">Σ∂L/∂w += ∂L/∂w</div>
+                    <div class="comp-values">‖Σ∂L/∂w‖ = ${step.batchGradientNorm.toFixed(6)}</div>
+                </div>
+                <div class="comp-result">
+                    <div class="comp-result-label">Batch</div>
+                    <div class="comp-result-value">${step.batchCount} / ${step.batchSize}</div>
+                </div>
+            `;
+        }
+        
+        const optimizer = Optimizers[step.optimizer];
+        return `
+            <div class="comp-title">Apply Batch Update · ${optimizer.name}</div>
+            <div class="comp-step">
+                <div class="comp-label">Average Gradient</div>
+                <div class="comp-equation">g = (1/${step.batchCount}) × Σ∂L/∂w</div>
+                <div class="comp-values">‖g‖ = ${step.meanGradientNorm.toFixed(6)}</div>
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">Update Rule</div>
+                ${optimizer.formula.map(line => `<div class="comp-equation">${line}</div>`).join('')}
+            </div>
+            <div class="comp-result">
+                <div class="comp-result-label">Samples</div>
+                <div class="comp-result-value">${step.batchCount}</div>
+            </div>
+        `;
+    }
+    
+    // Loss box for a linear output with a continuous target
+    generateRegressionLossEquation(step, lossFn) {
+        return `
+            <div class="comp-title">Loss Calculation</div>
+            <div class="comp-step">
+                <div class="comp-label">Prediction (ŷ)</div>
+                <div class="comp-values">${step.output.toFixed(4)}</div>
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">Target (y)</div>
+                <div class="comp-values">${step.target.toFixed(4)}</div>
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">Residual</div>
+                <div class="comp-equation">r = y - ŷ</div>
+                <div class="comp-values">${step.residual.toFixed(4)}</div>
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">${lossFn.name}</div>
+                <div class="comp-equation">${lossFn.formula}</div>
+                <div class="comp-values">${lossFn.describe(step.output, step.target)}</div>
+            </div>
+            <div class="comp-result">
+                <div class="comp-result-label">Loss</div>
+                <div class="comp-result-value">${step.loss.toFixed(6)}</div>
+            </div>
+        `;
+    }
+    
+    // Loss box for a softmax output layer
+    generateMultiClassLossEquation(step) {
+        const lossFn = LossFunctions[step.lossFunction];
+        const rows = step.output.map((p, k) => `
+            <div class="comp-values${k === step.target ? ' comp-target' : ''}">${escapeHtml(step.classNames[k])}: p = ${p.toFixed(4)}, y = ${step.targetVector[k]}</div>
+        `).join('');
+        const terms = step.output
+            .map((p, k) => lossFn.describe(p, step.targetVector[k]))
+            .filter(term => term)
+            .join(' + ');
+        
+        return `
+            <div class="comp-title">Loss Calculation</div>
+            <div class="comp-step">
+                <div class="comp-label">Class Probabilities</div>
+                ${rows}
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">${lossFn.name}</div>
+                <div class="comp-equation">${lossFn.formula}</div>
+                <div class="comp-values">${terms}</div>
             </div>
             <div class="comp-result">
                 <div class="comp-result-label">Loss</div>
@@ -354,6 +588,7 @@ class NetworkVisualizer {
         this.svg.innerHTML = '';
         this.neuronElements = [];
         this.connectionElements = [];
+        this.biasElements = [];
         
         // Create defs for gradients and filters
         this.createDefs();
@@ -364,13 +599,18 @@ class NetworkVisualizer {
         // Create groups for layering
         const connectionsGroup = this.createGroup('connections');
         const neuronsGroup = this.createGroup('neurons');
+        const biasesGroup = this.createGroup('biases');
         const labelsGroup = this.createGroup('labels');
         
         // Draw connections first (behind neurons)
         this.drawConnections(data, layout, connectionsGroup);
         
         // Draw neurons
-        this.drawNeurons(data, layout, neuronsGroup);
+        const thumbnails = this.showFeatureMaps && this.featureMapProvider ? this.featureMapProvider(network) : null;
+        this.drawNeurons(data, layout, neuronsGroup, thumbnails);
+        
+        // Draw bias badges on top of the neurons they feed
+        this.drawBiases(data, layout, biasesGroup);
         
         // Draw labels
         this.drawLabels(data, layout, labelsGroup);
@@ -409,6 +649,12 @@ class NetworkVisualizer {
         `;
         defs.appendChild(filter);
         
+        // Clip for feature-map thumbnails, in each neuron group's local coordinates
+        const clip = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+        clip.setAttribute('id', 'neuronClip');
+        clip.innerHTML = `<circle r="${this.config.neuronRadius - 1}"/>`;
+        defs.appendChild(clip);
+        
         // Signal glow filter
         const signalFilter = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
         signalFilter.setAttribute('id', 'signalGlow');
@@ -445,6 +691,11 @@ class NetworkVisualizer {
         
         const layerSpacing = usableWidth / (numLayers - 1);
         
+        // Shrink vertical spacing so the widest layer still fits; narrower layers share it
+        const neuronSpacing = maxNeurons > 1
+            ? Math.min(this.config.neuronSpacing, usableHeight / (maxNeurons - 1))
+            : this.config.neuronSpacing;
+        
         const positions = [];
         
         for (let l = 0; l < numLayers; l++) {
@@ -452,20 +703,23 @@ class NetworkVisualizer {
             const numNeurons = layers[l];
             
             // Center neurons vertically
-            const totalHeight = (numNeurons - 1) * this.config.neuronSpacing;
+            const totalHeight = (numNeurons - 1) * neuronSpacing;
             const startY = (height - totalHeight) / 2;
             
             for (let n = 0; n < numNeurons; n++) {
                 layerPositions.push({
                     x: this.config.padding + (l * layerSpacing),
-                    y: startY + (n * this.config.neuronSpacing)
+                    y: startY + (n * neuronSpacing)
                 });
             }
             
             positions.push(layerPositions);
         }
         
-        return { positions, width, height };
+        // Top of the widest layer, so labels line up across uneven layers
+        const topY = (height - (maxNeurons - 1) * neuronSpacing) / 2;
+        
+        return { positions, width, height, topY };
     }
     
     drawConnections(data, layout, group) {
@@ -522,7 +776,27 @@ class NetworkVisualizer {
                         this.weightTooltip.style.left = `${e.clientX + 15}px`;
                         this.weightTooltip.style.top = `${e.clientY - 10}px`;
                     });
-                    line.addEventListener('mouseleave', () => this.hideWeightTooltip());
+                    line.addEventListener('mouseleave', () => {
+                        if (!this.weightDrag) this.hideWeightTooltip();
+                    });
+                    
+                    // Drag along the edge: towards the receiving neuron raises the weight, back towards the source lowers it
+                    line.addEventListener('mousedown', (e) => {
+                        if (!this.onWeightDrag) return;
+                        e.preventDefault();
+                        const length = Math.hypot(toPos.x - fromPos.x, toPos.y - fromPos.y) || 1;
+                        this.weightDrag = {
+                            layer: l,
+                            from: i,
+                            to: j,
+                            startWeight: weight,
+                            startX: e.clientX,
+                            startY: e.clientY,
+                            dirX: (toPos.x - fromPos.x) / length,
+                            dirY: (toPos.y - fromPos.y) / length
+                        };
+                        document.body.classList.add('dragging-weight');
+                    });
                     
                     group.appendChild(line);
                     neuronConnections.push(line);
@@ -535,7 +809,7 @@ class NetworkVisualizer {
         }
     }
     
-    drawNeurons(data, layout, group) {
+    drawNeurons(data, layout, group, thumbnails = null) {
         this.neuronElements = [];
         
         for (let l = 0; l < data.layers.length; l++) {
@@ -572,6 +846,27 @@ class NetworkVisualizer {
                 
                 neuronGroup.appendChild(circle);
                 
+                // Feature map inside hidden neurons (2-input networks)
+                const isHidden = l > 0 && l < data.layers.length - 1;
+                if (isHidden && thumbnails && thumbnails[l - 1][n]) {
+                    const r = this.config.neuronRadius;
+                    const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+                    image.setAttribute('href', thumbnails[l - 1][n]);
+                    image.setAttribute('x', -r);
+                    image.setAttribute('y', -r);
+                    image.setAttribute('width', 2 * r);
+                    image.setAttribute('height', 2 * r);
+                    image.setAttribute('clip-path', 'url(#neuronClip)');
+                    image.setAttribute('preserveAspectRatio', 'none');
+                    image.setAttribute('class', 'neuron-thumbnail');
+                    neuronGroup.appendChild(image);
+                }
+                
+                const selected = this.selectedNeuron;
+                if (selected && selected.layer === l && selected.neuron === n) {
+                    neuronGroup.classList.add('neuron-selected');
+                }
+                
                 // Value text
                 const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
                 text.setAttribute('class', 'neuron-value');
@@ -593,6 +888,12 @@ class NetworkVisualizer {
                     }
                     
                     let layerName = l === 0 ? 'Input' : l === data.layers.length - 1 ? 'Output' : `Hidden ${l}`;
+                    if (l === data.layers.length - 1 && data.classNames && data.classNames[n]) {
+                        layerName += ` (${data.classNames[n]})`;
+                    }
+                    if (isHidden && data.layers[0] === 2 && this.onNeuronSelect) {
+                        content += '<br><em>Click for feature map</em>';
+                    }
                     this.showTooltip(e.clientX, e.clientY, 
                         `${layerName} - Neuron ${n + 1}`,
                         content
@@ -600,6 +901,11 @@ class NetworkVisualizer {
                 });
                 neuronGroup.addEventListener('mouseleave', () => this.hideTooltip());
                 
+                // Click a hidden neuron to show its feature map over the input plane
+                if (isHidden && data.layers[0] === 2 && this.onNeuronSelect) {
+                    neuronGroup.addEventListener('click', () => this.onNeuronSelect(l, n));
+                }
+                
                 group.appendChild(neuronGroup);
                 layerNeurons.push(neuronGroup);
             }
@@ -608,6 +914,97 @@ class NetworkVisualizer {
         }
     }
     
+    // One badge per non-input neuron, on its upper-left edge; colour and fill show the bias sign and size
+    drawBiases(data, layout, group) {
+        this.biasElements = [];
+        const offset = this.config.neuronRadius * 0.75;
+        
+        for (let l = 0; l < data.biases.length; l++) {
+            const layerBiases = [];
+            
+            for (let j = 0; j < data.biases[l].length; j++) {
+                const pos = layout.positions[l + 1][j];
+                const badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+                badge.setAttribute('class', 'bias-badge');
+                badge.setAttribute('transform', `translate(${pos.x - offset}, ${pos.y - offset})`);
+                
+                const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+                circle.setAttribute('r', 8);
+                badge.appendChild(circle);
+                
+                const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                text.textContent = 'b';
+                badge.appendChild(text);
+                
+                this.styleBiasBadge(badge, data.biases[l][j]);
+                
+                badge.addEventListener('mouseenter', (e) => {
+                    const bias = parseFloat(badge.dataset.bias);
+                    const change = data.previousBiases && data.previousBiases[l]
+                        ? bias - data.previousBiases[l][j]
+                        : 0;
+                    this.showTooltip(e.clientX, e.clientY,
+                        `Bias b[${l}][${j}]`,
+                        `Value: ${bias.toFixed(6)}<br>Change: ${change >= 0 ? '+' : ''}${change.toFixed(6)}`
+                    );
+                });
+                badge.addEventListener('mouseleave', () => this.hideTooltip());
+                
+                group.appendChild(badge);
+                layerBiases.push(badge);
+            }
+            
+            this.biasElements.push(layerBiases);
+        }
+    }
+    
+    styleBiasBadge(badge, bias) {
+        const normalized = Math.min(Math.abs(bias), 1);
+        const rgb = bias >= 0 ? '0, 212, 255' : '255, 0, 110';
+        const circle = badge.querySelector('circle');
+        circle.setAttribute('fill', `rgba(${rgb}, ${0.15 + normalized * 0.5})`);
+        circle.setAttribute('stroke', `rgba(${rgb}, 0.9)`);
+        badge.dataset.bias = bias;
+    }
+    
+    // Update a bias badge after a bias_update step, flashing the direction of the change
+    updateBiasValue(layer, neuron, bias, change = 0) {
+        const badge = this.biasElements[layer] && this.biasElements[layer][neuron];
+        if (!badge) return;
+        
+        this.styleBiasBadge(badge, bias);
+        if (change !== 0) {
+            const circle = badge.querySelector('circle');
+            circle.setAttribute('stroke', change > 0 ? '#10b981' : '#f97316');
+            setTimeout(() => this.styleBiasBadge(badge, parseFloat(badge.dataset.bias)), 500);
+        }
+    }
+    
+    // Bias update box: gradient, the optimizer rule written for b, and the new value
+    generateBiasUpdateEquation(step) {
+        const optimizer = Optimizers[step.optimizer];
+        const gradientLine = step.batchCount > 1 ? `g = (1/${step.batchCount})Σδ` : 'g = ∂L/∂b = δ';
+        const rule = optimizer.formula.map(line => line.replace(/\bw\b/g, 'b'));
+        
+        return `
+            <div class="comp-title">Bias Update · ${optimizer.name}</div>
+            <div class="comp-step">
+                <div class="comp-label">Gradient</div>
+                <div class="comp-equation">${gradientLine}</div>
+                <div class="comp-values">${step.gradient.toFixed(6)}</div>
+            </div>
+            <div class="comp-step">
+                <div class="comp-label">Update Rule</div>
+                ${rule.map(line => `<div class="comp-equation">${line}</div>`).join('')}
+                <div class="comp-values">${optimizer.describe(step)}</div>
+            </div>
+            <div class="comp-result">
+                <div class="comp-result-label">New Bias</div>
+                <div class="comp-result-value">${step.newBias.toFixed(4)}</div>
+            </div>
+        `;
+    }
+    
     drawLabels(data, layout, group) {
         const layerNames = ['Input', ...Array(data.layers.length - 2).fill(0).map((_, i) => `Hidden ${i + 1}`), 'Output'];
         
@@ -616,15 +1013,42 @@ class NetworkVisualizer {
             
             const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
             text.setAttribute('x', firstNeuronPos.x);
-            text.setAttribute('y', firstNeuronPos.y - this.config.neuronRadius - 20);
+            text.setAttribute('y', layout.topY - this.config.neuronRadius - 20);
             text.setAttribute('class', 'neuron-label');
-            text.textContent = layerNames[l];
+            text.textContent = `${layerNames[l]} (${data.layers[l]})`;
             group.appendChild(text);
+            
+            // Activation applied by this layer (weight layer l - 1 feeds it)
+            if (l > 0 && data.layerActivations) {
+                const name = data.layerActivations[l - 1];
+                const activationText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                activationText.setAttribute('x', firstNeuronPos.x);
+                activationText.setAttribute('y', layout.topY - this.config.neuronRadius - 6);
+                activationText.setAttribute('class', 'activation-label');
+                activationText.textContent = Activations[name] ? Activations[name].name : 'Softmax';
+                group.appendChild(activationText);
+            }
+        }
+        
+        // Class names beside each output neuron
+        if (data.classNames && data.classNames.length) {
+            const outputLayer = data.layers.length - 1;
+            data.classNames.forEach((name, k) => {
+                const pos = layout.positions[outputLayer][k];
+                const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                text.setAttribute('x', pos.x + this.config.neuronRadius + 10);
+                text.setAttribute('y', pos.y);
+                text.setAttribute('class', 'class-label');
+                text.textContent = name;
+                group.appendChild(text);
+            });
         }
     }
     
     getActivationColor(value) {
         // Interpolate between negative (magenta) and positive (cyan)
+        // Clamp so unbounded values (ReLU, linear outputs) stay within the palette
+        value = Math.max(0, Math.min(1, value));
         if (value >= 0.5) {
             const t = (value - 0.5) * 2; // 0 to 1
             return {